@@ -2,6 +2,10 @@
 // UTF-8 BOM-safe, delimiter auto-detect, URL-ish heuristics, shape summary.
 
 const URLISH_RE = /^(?:https?:)?\/\/[^\s]+|^\/(?!\/)/i; // absolute or slash-rooted
+// redirect-map headers (old_url → expected new URL); no bare "to" / "new" / "expected", which title
+// or description columns use too
+const TARGET_HEADER_RE = /^(redirect[\s_-]*target|target([\s_-]*url)?|(new|to)[\s_-]*url|destination([\s_-]*url)?|expected[\s_-]*(new[\s_-]*)?url)$/i;
+const SOURCE_HEADER_RE = /^(old([\s_-]*url)?|from|source([\s_-]*url)?|legacy([\s_-]*url)?|url)$/i;
 const BOM_RE = /^\uFEFF/;
 const DELIMS = [",", "\t", ";"];
 
@@ -10,15 +14,17 @@ function stripBOM(s) {
 }
 
 function detectDelimiter(sampleText) {
-  // Try the 3 candidates; pick by max stdev of splits across first 50 lines.
+  // Try the 3 candidates across the first 50 lines; the one that splits into the most columns, most
+  // consistently, wins (mean columns minus their variance). One that never splits a line doesn't count.
   const lines = sampleText.split(/\r?\n/).slice(0, 50).map(l => l.trim()).filter(Boolean);
   if (lines.length === 0) return ",";
-  let best = { delim: ",", score: -1 };
+  let best = { delim: ",", score: 0 };
   for (const d of DELIMS) {
     const counts = lines.map(l => l.split(d).length);
     const avg = counts.reduce((a,b)=>a+b,0)/counts.length;
+    if (avg <= 1) continue;
     const varc = counts.reduce((a,b)=>a + Math.pow(b-avg,2),0)/counts.length;
-    const score = varc; // higher variance means delimiter is segmenting consistently
+    const score = avg - varc;
     if (score > best.score) best = { delim: d, score };
   }
   return best.delim;
@@ -33,6 +39,35 @@ function isUrlish(s) {
   return URLISH_RE.test(String(s || "").trim());
 }
 
+// header cells -> { source, target } column indexes when they name a redirect_target column, else null
+function redirectColumns(header) {
+  const cells = (header || []).map(c => String(c || "").trim());
+  const target = cells.findIndex(c => TARGET_HEADER_RE.test(c));
+  if (target < 0 || cells.length < 2) return null;
+  let source = cells.findIndex((c, i) => i !== target && SOURCE_HEADER_RE.test(c));
+  if (source < 0) source = target === 0 ? 1 : 0;
+  return { source, target };
+}
+
+// parsed rows (the first may be a header) -> { source, target, header } when they are a redirect map:
+// a header naming the target column, or exactly 2 columns. Either way both columns must be URL-ish
+// in >=60% of the (first 50) data rows, so a header alone never makes a redirect map.
+function redirectMapColumns(rows) {
+  const sample = (rows || []).filter(r => r && r.some(c => String(c || "").trim())).slice(0, 51);
+  if (!sample.length) return null;
+  let cols = redirectColumns(sample[0]);
+  const header = !!cols;
+  if (!cols) {
+    if (Math.max(...sample.map(r => r.length)) !== 2) return null;
+    cols = { source: 0, target: 1 };
+  }
+  const data = header ? sample.slice(1) : sample.slice(0, 50);
+  if (!data.length) return null;
+  const share = (i) => data.filter(r => isUrlish(r[i])).length / data.length;
+  if (share(cols.source) < 0.6 || share(cols.target) < 0.6) return null;
+  return { ...cols, header };
+}
+
 function avgLen(arr) {
   const a = arr.map(x => (x || "").length);
   return a.length ? a.reduce((p,c)=>p+c,0)/a.length : 0;
@@ -54,9 +89,15 @@ function sniffCsvShape(text) {
     : 0;
   const firstRowIsUrl = padded.length ? isUrlish(padded[0][0]) : false;
 
-  // Inference by column count
+  // Inference by column count (a redirect-map header wins)
   const inferredRoles = [];
-  if (cols >= 3) {
+  const redirectCols = redirectMapColumns(padded);
+  if (redirectCols) {
+    const roles = Array(cols).fill("");
+    roles[redirectCols.source] = "url";
+    roles[redirectCols.target] = "redirect_target";
+    inferredRoles.push(roles);
+  } else if (cols >= 3) {
     inferredRoles.push(["url","title","description"]);
   } else if (cols === 2) {
     const col1Url = firstColUrlShare >= 0.6;
@@ -93,6 +134,8 @@ module.exports = {
   detectDelimiter,
   splitRow,
   isUrlish,
+  redirectColumns,
+  redirectMapColumns,
   avgLen,
   sniffCsvShape,
 };
@@ -10,19 +10,31 @@ const path = require('path');
 const os = require('os');
 const { chromium } = require('playwright');
 
-const { seedBuckets, appendToBuckets } = require('../src/discover/frontier');
+const { seedBuckets, appendToBuckets, allBucketPending, reclaimStaleOwners, requeueStaleClaims, sectionKey } = require('../src/discover/frontier');
+const { reclaimStaleLocks } = require('../src/utils/locks');
+const { createCoordinator } = require('../src/discover/coordinator');
+const { createScope, splitRules, ruleErrors } = require('../src/discover/scope');
 const { makeLogger } = require('../src/utils/log');
 const { sanitizePathPrefix } = require('../src/config');
 const { parseCsv } = require('../src/io/csv');
+const { mergeSiteCatalog, mergeInternalLinks, mergeCrawlTraps, mergeRobotsBlocked, mergeRedirects, appendSummary } = require('../src/io/merge-parts');
+const { loadRobots, applyCrawlDelay, createBlockedLog } = require('../src/discover/robots');
+const { discoverSitemapEntries, writeSitemapEntries } = require('../src/discover/sitemap');
+const { writeReconciliation } = require('../src/io/reconcile');
+const { writeBrokenLinks, writeExternalLinks } = require('../src/io/link-check');
+const { readRedirectMap, validateRedirectMap } = require('../src/io/redirect-map');
+const { dropCacheStore } = require('../src/cache/ndjson-store');
 const dedupe = (arr) => Array.from(new Set(arr || []));
 if (typeof global.fetch !== 'function') {
   global.fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
 }
 
 // ----------------------- argv -----------------------
-const argv = minimist(process.argv.slice(2), {
-  boolean: ['keepPageParam','dropCache','rebuildLinks','open','headless','override'],
-  string:  ['input','base','pathPrefix','excelDelimiter','followup','outDir','telemetryPort'],
+// npm scripts pass "node shard-run.js -- --flag": drop the bare "--" so those flags aren't swallowed into argv._
+const argv = minimist(process.argv.slice(2).filter(a => a !== '--'), {
+  boolean: ['keepPageParam','dropCache','rebuildLinks','open','headless','override','yes','unattended','resume','coordinator','reconcile','sitemapHreflang','sitemapLastmod'],
+  string:  ['input','base','pathPrefix','excelDelimiter','followup','outDir','telemetryPort','outputs','metaStrategy','linksMode','coordinatorHost','coordinatorToken','sectionQuota','include','exclude','maxDepth','robots','sitemapMaxUrls','sitemapBaseUrl','externalAllow','externalDeny','redirectChainMax'],
+  alias:   { y: 'yes' },
   default: {
     pathPrefix: '/',
     excelDelimiter: 'comma',
@@ -32,9 +44,20 @@ const argv = minimist(process.argv.slice(2), {
     concurrency: 4,
     telemetryPort: process.env.TELEMETRY_PORT || 7077,
     open: true,
+    metaStrategy: 'browser',
+    linksMode: 'full',
+    robots: 'report',
   }
 });
 
+// --yes / --unattended: no Control Panel gate, no "New Run" wait — exit with a status code instead
+const UNATTENDED = !!(argv.yes || argv.unattended);
+const EXIT = { ok: 0, workerFailed: 1, invalidConfig: 2, noWork: 3, stopped: 4 };
+if (UNATTENDED) {
+  argv.open = false;
+  process.env.NO_VIZ = process.env.NO_VIZ || '1';
+}
+
 // Resolve paths early so we can share with telemetry
 const inputPath = argv.input ? path.resolve(String(argv.input)) : '';
 const outDirAbs = path.resolve(String(argv.outDir || 'dist'));
@@ -55,7 +78,7 @@ try {
 const tmod = require('../src/utils/telemetry');
 const telemetry = tmod.telemetry || tmod;
 
-console.log('[orchestrator] waiting for output selection in the web UI…');
+if (!UNATTENDED) console.log('[orchestrator] waiting for output selection in the web UI…');
 
 // Let telemetry know what we’re launching with (for /preflight CSV sniffing)
 if (typeof telemetry.setLaunchContext === 'function') {
@@ -78,8 +101,19 @@ function mergeManifestDedup(masterFile, outDir) {
 
 
 // -------------------- start telemetry --------------------
+if (argv.coordinatorToken) process.env.MC_COORDINATOR_TOKEN = String(argv.coordinatorToken); // children inherit it
+// remote workers get the run's settings and write into outDir: never without a token
+if (argv.coordinator && argv.coordinatorHost && !telemetry.isLoopbackHost(argv.coordinatorHost) && !process.env.MC_COORDINATOR_TOKEN) {
+  console.error(`✖ coordinatorHost: ${argv.coordinatorHost} is reachable from other machines; set --coordinatorToken (or MC_COORDINATOR_TOKEN)`);
+  process.exit(EXIT.invalidConfig);
+}
 const requestedPort = Number(argv.telemetryPort || process.env.TELEMETRY_PORT || 7077);
-const TELEMETRY_PORT = telemetry.startServer({ port: requestedPort, autoOpen: !!argv.open }) || requestedPort;
+// --coordinatorHost 0.0.0.0 lets remote workers reach /frontier/* (the UI stays on the same port)
+const TELEMETRY_PORT = telemetry.startServer({
+  port: requestedPort,
+  autoOpen: !!argv.open,
+  host: argv.coordinator && argv.coordinatorHost ? String(argv.coordinatorHost) : undefined
+}) || requestedPort;
 process.env.TELEMETRY_PORT = String(TELEMETRY_PORT);
 
 // Optional: spawn Electron shell around the telemetry UI
@@ -124,6 +158,61 @@ if (argv['spawn-electron']) {
     try { return JSON.parse(fs.readFileSync(cfgPath, 'utf8')); } catch { return null; }
   }
 
+// meta-check.config.json in the working directory ({} when missing or unreadable)
+function readProjectConfig() {
+  try {
+    const p = path.resolve('meta-check.config.json');
+    if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, 'utf8')) || {};
+  } catch (e) {
+    console.warn('[orchestrator] could not read meta-check.config.json:', e && e.message ? e.message : e);
+  }
+  return {};
+}
+
+// Build the same { outputs, meta } selection the Control Panel POSTs to /config,
+// from CLI flags first, then meta-check.config.json, then the usual defaults.
+function buildUnattendedSelection() {
+  const fileCfg = readProjectConfig();
+  // minimist fills defaults, so only treat a flag as set if it was actually passed
+  const passed = (k) => process.argv.some(a => a === `--${k}` || a.startsWith(`--${k}=`) || a === `--no-${k}`);
+  const pick = (k, fileKey = k, def) => passed(k) ? argv[k] : (fileCfg[fileKey] != null ? fileCfg[fileKey] : (def !== undefined ? def : argv[k]));
+  const bool = (v) => v === true || String(v).toLowerCase() === 'true';
+  const list = (v) => (Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+
+  const outputs = list(pick('outputs', 'outputs', 'urls,site_catalog,internal_links,tree'));
+  const shards = Number(pick('shards')) || 0;
+  const multi = shards > 1;
+  const input = pick('input', 'input', '');
+  return {
+    outputs,
+    meta: {
+      base: String(pick('base', 'base', '') || ''),
+      prefix: String(pick('pathPrefix', 'pathPrefix', '/') || '/'),
+      outDir: path.resolve(String(pick('outDir', 'outDir', 'dist'))),
+      keepPageParam: bool(pick('keepPageParam')),
+      headless: passed('headless') ? bool(argv.headless) : (fileCfg.headless != null ? bool(fileCfg.headless) : true),
+      prod: bool(pick('prod', 'prod', false)),
+      maxShards: bool(pick('maxShards', 'maxShards', false)),
+      multiShards: multi,
+      shards,
+      bucketParts: Number(pick('bucketParts')) || (multi ? 2 * shards : 1),
+      include: splitRules(pick('include', 'include', [])),
+      exclude: splitRules(pick('exclude', 'exclude', [])),
+      maxDepth: Number(pick('maxDepth', 'maxDepth', 0)) || 0,
+      inputPath: input ? path.resolve(String(input)) : ''
+    }
+  };
+}
+
+// End of a run: unattended exits with `code`, interactive waits for "New Run" in the UI.
+async function finishRun(code) {
+  if (UNATTENDED) {
+    console.log(`[orchestrator] unattended run finished — exit ${code}`);
+    process.exit(code);
+  }
+  await waitForResetThenPreflight();
+}
+
 // wait loop in shard-run.js
 async function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
 async function stopRequested() {
@@ -137,7 +226,20 @@ async function stopRequested() {
   } catch { return false; }
 }
 
-console.log('[orchestrator] waiting for output selection in the web UI…');
+if (!UNATTENDED) console.log('[orchestrator] waiting for output selection in the web UI…'); // unattended: selection comes from the flags
+
+// —— UNATTENDED: apply + start from CLI flags / meta-check.config.json ————
+if (UNATTENDED) {
+  const selection = buildUnattendedSelection();
+  try { fs.mkdirSync(selection.meta.outDir, { recursive: true }); } catch {}
+  const applied = telemetry.applyConfig(selection);
+  if (!applied.valid) {
+    for (const e of applied.errors) console.error(`✖ ${e.key}: ${e.reason}`);
+    process.exit(EXIT.invalidConfig);
+  }
+  telemetry.startRun();
+  console.log('[orchestrator] unattended — applied config and started', { outputs: selection.outputs, meta: applied.meta });
+}
 
 // —— START GATE ————————————————————————————————————————————————
 // Do not seed/spawn until the UI has explicitly Applied & Started
@@ -145,6 +247,7 @@ await telemetry.waitForApplyAndStart();
 console.log('[orchestrator] Apply & Start received — proceeding…');
 if (await stopRequested()) {
    console.log('[orchestrator] stop requested — exiting before configuring');
+   if (UNATTENDED) process.exit(EXIT.stopped);
    return;
  }
 // —— END START GATE ————————————————————————————————————————————————
@@ -154,6 +257,7 @@ if (await stopRequested()) {
 while (true) {
   if (await stopRequested()) {
     console.log('[orchestrator] stop requested — exiting before start');
+    if (UNATTENDED) process.exit(EXIT.stopped);
     return;
   }
   try {
@@ -179,6 +283,11 @@ while (true) {
         if (+m.bucketParts > 0) argv.bucketParts = +m.bucketParts;
         if (m.inputPath) argv.input = m.inputPath;
 
+        // scope rules: only when the panel set some (otherwise CLI / meta-check.config.json apply)
+        if (Array.isArray(m.include) && m.include.length) argv.include = m.include;
+        if (Array.isArray(m.exclude) && m.exclude.length) argv.exclude = m.exclude;
+        if (+m.maxDepth > 0) argv.maxDepth = String(+m.maxDepth);
+
         if (typeof m.headless === 'boolean') {
           process.env.PLAYWRIGHT_HEADLESS = m.headless ? '1' : '';
         }
@@ -237,6 +346,9 @@ if (argv.prod === true || String(argv.prod) === 'true') {
   argv.concurrency = 1;
 }
 
+// Lock TTL for claims/owners left by killed workers (children inherit the env; see src/utils/locks.js)
+if (Number(argv.lockTtlSec) > 0) process.env.MC_LOCK_TTL_SEC = String(Number(argv.lockTtlSec));
+
 //debug log to confirm everything
 console.log('[orchestrator] final meta:', {
   base: cfg.base,
@@ -295,6 +407,9 @@ if (typeof meta.outDir === 'string' && meta.outDir)             argv.outDir = me
 if (typeof meta.keepPageParam === 'boolean')                    argv.keepPageParam = meta.keepPageParam;
 if (typeof meta.shards === 'number' && meta.shards > 0)         argv.shards = meta.shards;
 if (typeof meta.bucketParts === 'number' && meta.bucketParts > 0) argv.bucketParts = meta.bucketParts;
+if (Array.isArray(meta.include) && meta.include.length)        argv.include = meta.include;
+if (Array.isArray(meta.exclude) && meta.exclude.length)        argv.exclude = meta.exclude;
+if (typeof meta.maxDepth === 'number' && meta.maxDepth > 0)     argv.maxDepth = String(meta.maxDepth);
 
 // let telemetry know what we're launching (for /preflight CSV sniffing, etc.)
 (tmod.setLaunchContext || (()=>{}))({
@@ -309,6 +424,7 @@ if (typeof meta.bucketParts === 'number' && meta.bucketParts > 0) argv.bucketPar
 
 // now proceed…
 const T0 = Date.now();
+let workerFailures = 0; // non-zero child exits; decides the unattended exit code
 
 telemetry.setStepper(['seed-scan','bootstrap-frontier','spawn-workers','merge-urls','dedupe','cleanup','done'], 0);
 telemetry.step(0);
@@ -321,6 +437,35 @@ const origin   = new URL(cfg.base).origin;
 const prefix   = String(cfg.pathPrefix || '').replace(/^["']|["']$/g, '').replace(/\/+$/, '');
 const followup = String(argv.followup || 'none').toLowerCase();
 
+// Discovery scope (src/discover/scope.js): pathPrefix + --include / --exclude rules + --maxDepth.
+// Control Panel, then CLI, then meta-check.config.json; every child gets the same rules via scope.toArgs().
+let scope;
+{
+  const projectCfg = readProjectConfig();
+  const rule = (k) => splitRules(argv[k] != null && argv[k] !== '' ? argv[k] : projectCfg[k]);
+  const include = rule('include'), exclude = rule('exclude');
+  const errors = [...ruleErrors(include), ...ruleErrors(exclude)];
+  if (errors.length) {
+    for (const e of errors) console.error(`✖ scope rule ${e.rule}: ${e.reason}`);
+    process.exit(UNATTENDED ? EXIT.invalidConfig : 1);
+  }
+  const maxDepth = Number(argv.maxDepth) > 0 ? Number(argv.maxDepth) : (Number(projectCfg.maxDepth) || 0);
+  scope = createScope({ pathPrefix: prefix, include, exclude, maxDepth });
+  console.log('[orchestrator] scope', { prefix: prefix || '/', include: scope.include, exclude: scope.exclude, maxDepth: scope.maxDepth || 'unlimited' });
+}
+
+// robots.txt, fetched once per run into outDir/robots.txt (workers reuse that copy).
+// Crawl-delay raises MC_POLITE_DELAY_MS before any child is forked, so every worker inherits it.
+const robotsMode = ['obey', 'off'].includes(String(argv.robots).toLowerCase()) ? String(argv.robots).toLowerCase() : 'report';
+let robots = null;
+const robotsBlocked = createBlockedLog({ enforce: robotsMode === 'obey' });
+try { fs.unlinkSync(path.join(cfg.outDir, 'robots-blocked.part0.json')); } catch {} // seed-scan hits of a previous run
+if (robotsMode !== 'off') {
+  robots = await loadRobots(cfg.base, { cacheFile: path.join(cfg.outDir, 'robots.txt'), refresh: true });
+  const politeDelayMs = applyCrawlDelay(robots);
+  console.log('[orchestrator] robots.txt', { mode: robotsMode, status: robots.status, group: robots.group || '(none)', rules: robots.rules, sitemaps: robots.sitemaps.length, politeDelayMs });
+}
+
 const sniff = parseFirstColumn((argv.input && String(argv.input)) || inputPath || '');
   try {
     const inputActual = (argv.input && String(argv.input)) || inputPath || '';
@@ -365,25 +510,154 @@ const log = makeLogger({ shardIndex: 'orchestrator', shards: cfg.shards });
 console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().length} → shards=${cfg.shards}`, {});
 
 
+  // --resume continues an interrupted discovery run from frontier/ (explicit URL lists just re-run)
+  const RESUME = !!argv.resume && !sitemapMode && !argv.coordinator;
+  if (argv.resume && sitemapMode) console.warn('[resume] --resume only applies to discovery runs; starting fresh');
+  if (argv.resume && argv.coordinator) console.warn('[resume] the coordinator queue lives in memory; --resume needs the file frontier — starting fresh');
+
   // Common outputs
   const master = path.join(cfg.outDir, 'urls-final.txt');
+  // (per-worker parts are appended to by workers, so a previous run's leftovers must go — unless resuming)
   for (const f of fs.readdirSync(cfg.outDir)) {
-    if (/^urls-final\.part\d+\.json$/i.test(f)) {
+    if (/^(urls-final|reconcile-crawled)\.part\d+\.json$/i.test(f) ||
+        (!RESUME && /^(pages\.part\d+\.json|site_catalog\.part\d+\.csv|internal-links\.part\d+\.ndjson|redirects\.part\d+\.json)$/i.test(f))) {
       try { fs.unlinkSync(path.join(cfg.outDir, f)); } catch {}
     }
   }
 
 
+  // The fetch cache is one shared store, so drop it here once rather than in every worker
+  if (argv.dropCache === true || argv.dropCache === 'true') {
+    try { dropCacheStore(path.join(cfg.outDir, 'fetch-cache.ndjson')); console.log('[cache] dropped fetch-cache.ndjson'); }
+    catch (e) { console.warn('[cache warn]', e && e.message ? e.message : e); }
+  }
+
+  // Final reporting pass: workers run with --deferReports, so matching / duplicate titles / tree / summary
+  // are written once here over every worker's pages.part*.json instead of last-shard-wins.
+  function runFinalReports(extraArgs = []) {
+    const args = [
+      '--base', cfg.base,
+      '--input', argv.input || 'input.csv',
+      '--outDir', cfg.outDir,
+      '--pathPrefix', cfg.pathPrefix || '/',
+      '--keepPageParam', String(cfg.keepPageParam),
+      '--linksMode', String(argv.linksMode || 'full'),
+      '--mergeReports', 'true',
+      '--workerId', '0',
+      ...scope.toArgs(),
+      // "sitemap" output options (only this pass writes sitemap.xml)
+      ...(argv.sitemapBaseUrl ? ['--sitemapBaseUrl', String(argv.sitemapBaseUrl)] : []),
+      ...(argv.sitemapHreflang ? ['--sitemapHreflang', 'true'] : []),
+      ...(argv.sitemapLastmod ? ['--sitemapLastmod', 'true'] : []),
+      ...extraArgs,
+    ];
+    telemetry.step('reports');
+    console.log('[orchestrator] spawn reports', args.join(' '));
+    return new Promise((resolve) => {
+      const child = fork(cfg.childEntry, args, {
+        stdio: 'inherit',
+        env: { ...process.env, TELEMETRY_PORT: String(TELEMETRY_PORT) }
+      });
+      child.on('error', (e) => { workerFailures++; console.error('[reports] failed to start', e && e.message); resolve(1); });
+      child.on('exit', (code) => {
+        if (code !== 0) { workerFailures++; console.error(`Error: final reports pass exited ${code}`); }
+        resolve(code);
+      });
+    });
+  }
+
+  // "broken_links" / "external_links" outputs: one validation pass over the merged link graph, so one
+  // prober (one rate limit; per domain for external targets) covers every shard's edges
+  const wantsOutput = (k) => String(process.env.META_ONLY_REPORTS || '').split(',').map(s => s.trim()).includes(k);
+  async function checkLinks() {
+    if (wantsOutput('broken_links')) {
+      telemetry.step('check-links');
+      try {
+        const res = await writeBrokenLinks(cfg.outDir, { base: cfg.base, keepPageParam: cfg.keepPageParam, log: console });
+        if (res) {
+          appendSummary(cfg.outDir, [res]);
+          console.log('[links]', path.basename(res.file), res.rows, 'broken of', res.checked, 'targets');
+        }
+      } catch (e) {
+        console.warn('[links warn]', String(e && e.message ? e.message : e));
+      }
+    }
+    if (wantsOutput('external_links')) {
+      telemetry.step('check-external');
+      const projectCfg = readProjectConfig();
+      const pickList = (k) => (argv[k] != null && argv[k] !== '' ? argv[k] : projectCfg[k]) || [];
+      try {
+        const res = await writeExternalLinks(cfg.outDir, {
+          base: cfg.base,
+          keepPageParam: cfg.keepPageParam,
+          allow: pickList('externalAllow'),
+          deny: pickList('externalDeny'),
+          log: console
+        });
+        if (res) {
+          appendSummary(cfg.outDir, [res]);
+          console.log('[links]', path.basename(res.file), { targets: res.rows, checked: res.checked, broken: res.broken, unverifiable: res.unverifiable });
+        }
+      } catch (e) {
+        console.warn('[links warn]', String(e && e.message ? e.message : e));
+      }
+    }
+  }
+
+  // site_catalog.part*.csv / internal-links.part*.ndjson / crawl-traps.part*.json / robots-blocked.part*.json / redirects.part*.json
+  //   -> site_catalog.csv / internal-links.ndjson / crawl-traps.csv / robots-blocked.csv / redirects.csv (+ summary.txt)
+  function mergeCatalogAndLinks() {
+    telemetry.step('merge-parts');
+    const results = [];
+    try {
+      const cat = mergeSiteCatalog(cfg.outDir);
+      if (cat) { results.push(cat); console.log('[merge] site_catalog.csv', cat.rows); }
+      const links = mergeInternalLinks(cfg.outDir, { base: cfg.base });
+      if (links) { results.push(links); console.log('[merge] internal-links.ndjson', links.edges, links.skipped ? `(skipped ${links.skipped} bad rows)` : ''); }
+      const traps = mergeCrawlTraps(cfg.outDir);
+      if (traps) { results.push(traps); console.log('[merge] crawl-traps.csv', traps.rows, 'patterns'); }
+      const blocked = mergeRobotsBlocked(cfg.outDir);
+      if (blocked) { results.push(blocked); console.log('[merge] robots-blocked.csv', blocked.rows, 'urls'); }
+      const redirects = mergeRedirects(cfg.outDir, { maxHops: Number(argv.redirectChainMax) > 0 ? Number(argv.redirectChainMax) : 1, keepPageParam: cfg.keepPageParam });
+      if (redirects) { results.push(redirects); console.log('[merge] redirects.csv', redirects.rows, 'chains'); }
+      appendSummary(cfg.outDir, results);
+    } catch (e) {
+      console.warn('[merge warn]', String(e && e.message ? e.message : e));
+    }
+    return results;
+  }
+
+  // ============== redirect map (input role redirect_target) ==============
+  // old URL → expected new URL: every old URL is traced hop by hop into redirect-validation.csv; no workers
+  {
+    const mapFile = (argv.input && String(argv.input)) || inputPath || '';
+    if (mapFile && fs.existsSync(mapFile) && readRedirectMap(mapFile)) {
+      console.log('[orchestrator] redirect map detected → validating old → new URLs; skipping discovery.');
+      telemetry.step('validate-redirects');
+      try {
+        const res = await validateRedirectMap(mapFile, cfg.outDir, { base: cfg.base, log: console });
+        appendSummary(cfg.outDir, [res]);
+        console.log('[redirects]', path.basename(res.file), res.rows, 'rows', res.counts);
+      } catch (e) {
+        workerFailures++;
+        console.error('[redirects] validation failed', String(e && e.message ? e.message : e));
+      }
+      telemetry.step('done');
+      await finishRun(workerFailures ? EXIT.workerFailed : EXIT.ok);
+      return;
+    }
+  }
+
   // ============== 3-col sitemap mode (explicit list) ==============
   if (sitemapMode) {
     console.log('[orchestrator] 3-column input detected → using first column as explicit URL list; skipping discovery.');
-    // normalize to absolute within site + optional pathPrefix filter
+    // normalize to absolute within site + scope (pathPrefix, include/exclude) filter
     const normalized = dedupe(sniff.urls.map(h => {
       try {
         const u0 = new URL(h, origin);
         if (u0.origin !== origin) return null;
         const u = new URL(u0.pathname + u0.search, origin).toString().replace(/\/+$/, '');
-        if (prefix && !u0.pathname.startsWith(prefix)) return null;
+        if (!scope.allows(u0)) return null;
         return u;
       } catch { return null; }
     }).filter(Boolean));
@@ -411,6 +685,9 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
         '--input', argv.input || 'input.csv',
         '--rebuildLinks', argv.rebuildLinks ? 'true' : 'false',
         '--dropCache',   argv.dropCache   ? 'true' : 'false',
+        '--metaStrategy', String(argv.metaStrategy || 'browser'),
+        '--linksMode', String(argv.linksMode || 'full'),
+        '--deferReports', 'true',
         '--headless', (process.env.PLAYWRIGHT_HEADLESS ? 'true' : 'false'),
         '--mode', 'root-urls',
         '--urlsFile', urlsFile,
@@ -420,6 +697,7 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
         '--urlsOutFile', partOut,
         '--shards', String(parts),
         '--shardIndex', String(i + 1),
+        ...scope.toArgs(),
       ];
 
       console.log('[orchestrator] spawn root-urls', childArgs.slice(1).join(' '));
@@ -440,7 +718,7 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
         children.delete(child);
         finished++;
         telemetry.threadStatus({ workerId: i + 1, phase: 'exit:root-urls', done: true, code });
-        if (code !== 0) console.error(`Error: worker for root-urls shard ${i+1}/${parts} exited ${code}`);
+        if (code !== 0) { workerFailures++; console.error(`Error: worker for root-urls shard ${i+1}/${parts} exited ${code}`); }
 
         // append this shard’s output
         try {
@@ -456,6 +734,7 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
         if (await stopRequested()) {
           for (const c of children) { try { c.kill('SIGINT'); } catch {} }
           console.log('[orchestrator] stop requested — halting sitemap mode');
+          if (UNATTENDED) process.exit(EXIT.stopped);
           return; // leaves telemetry running; user can New Run
 }
 
@@ -469,6 +748,10 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
       const uniqueCount = mergeManifestDedup(master, cfg.outDir);
       telemetry.bump('urlsFound', uniqueCount);
 
+      await runFinalReports();
+      const mergedParts = mergeCatalogAndLinks();
+      await checkLinks();
+
       // Merge existence & working/not-working parts (3-col mode)
       try {
         // working/not-working .part*.txt -> merged .txt
@@ -534,7 +817,10 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
       if (shouldClean) {
         const out = cfg.outDir;
         const rm = (p) => { try { fs.rmSync(p, { recursive: true, force: true }); console.log('[clean]', path.relative(process.cwd(), p)); } catch (e) { console.warn('[clean warn]', e.message); } };
-        for (const f of fs.readdirSync(out)) if (/^urls-final\.part\d+\.json$/i.test(f)) rm(path.join(out, f));
+        for (const f of fs.readdirSync(out)) if (/^(urls-final|pages)\.part\d+\.json$/i.test(f)) rm(path.join(out, f));
+        if (mergedParts.length) {
+          for (const f of fs.readdirSync(out)) if (/^(site_catalog\.part\d+\.csv|internal-links\.part\d+\.ndjson|redirects\.part\d+\.json)$/i.test(f)) rm(path.join(out, f));
+        }
         rm(path.join(out, 'frontier'));
         rm(path.join(out, 'disco-locks'));
         rm(path.join(out, 'locks'));
@@ -552,7 +838,7 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
       console.log(`[orchestrator] done in ${HH}h ${MM}m ${SS}s (${MS.toLocaleString()} ms)`);
       // Wait for reset, then allow another run
       try { if (global.__mc_visibleBrowser) { await global.__mc_visibleBrowser.close(); global.__mc_visibleBrowser = null; } } catch {}
-      await waitForResetThenPreflight();
+      await finishRun(workerFailures ? EXIT.workerFailed : EXIT.ok);
       return;
     }
 
@@ -562,12 +848,47 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
   // ============== Discovery path (bucketed frontier) ==============
   const frontierDir  = path.join(cfg.outDir, 'frontier');
   const discoLocks   = path.join(cfg.outDir, 'disco-locks');
-  // Clean previous discovery artifacts to avoid stale .offset / owner files
-  try { fs.rmSync(frontierDir, { recursive: true, force: true }); } catch {}
-  try { fs.rmSync(discoLocks, { recursive: true, force: true }); } catch {}
+  const stateFile    = path.join(frontierDir, 'run-state.json');
+
+  // --resume: only if the frontier on disk belongs to this base/prefix
+  let resumeState = null;
+  if (RESUME) {
+    try { resumeState = JSON.parse(fs.readFileSync(stateFile, 'utf8')); } catch {}
+    if (!resumeState || resumeState.base !== cfg.base || resumeState.pathPrefix !== (cfg.pathPrefix || '')) {
+      console.warn('[resume] no resumable frontier for this base/prefix in', path.relative(process.cwd(), frontierDir), '— starting fresh');
+      resumeState = null;
+    }
+  }
+  const resuming = !!resumeState;
+
+  if (!resuming) {
+    // Clean previous discovery artifacts to avoid stale .offset / owner files
+    try { fs.rmSync(frontierDir, { recursive: true, force: true }); } catch {}
+    try { fs.rmSync(discoLocks, { recursive: true, force: true }); } catch {}
+  }
   fs.mkdirSync(frontierDir, { recursive: true });
   fs.mkdirSync(discoLocks, { recursive: true });
 
+  // Pages already crawled by the interrupted attempt (journals + whatever finished workers appended)
+  let recovered = [];
+  if (resuming) {
+    bucketParts = Number(resumeState.bucketParts) || bucketParts; // URL→bucket routing must not change
+    const requeue = requeueStaleClaims(frontierDir, discoLocks, bucketParts);
+    const owners = reclaimStaleOwners(frontierDir);
+    const fetchLocks = reclaimStaleLocks(path.join(cfg.outDir, 'locks'), { kind: 'url' }).length;
+
+    const readLines = (p) => { try { return fs.readFileSync(p, 'utf8').split(/\r?\n/).map(s => s.trim()).filter(Boolean); } catch { return []; } };
+    const journals = fs.readdirSync(frontierDir).filter(f => /^results\.w\d+\.txt$/i.test(f));
+    recovered = dedupe([...readLines(master), ...journals.flatMap(f => readLines(path.join(frontierDir, f)))]);
+
+    const pending = allBucketPending(frontierDir, bucketParts).reduce((n, b) => n + b.pending, 0);
+    console.log('[resume] continuing discovery', {
+      startedAt: resumeState.startedAt, bucketParts, pendingBytes: pending,
+      requeuedLocks: requeue.length, staleOwners: owners, staleFetchLocks: fetchLocks, recovered: recovered.length
+    });
+    try { telemetry.event({ type: 'resume', requeued: requeue.length, recovered: recovered.length, pendingBytes: pending }); } catch {}
+  }
+
   // Canonical seeds (both with/without trailing slash to avoid strict prefix filters)
   const rawPrefix = String(cfg.pathPrefix || '').replace(/^["']|["']$/g,'') || '/';
   const normPrefixNoSlash = rawPrefix === '/' ? '/' : rawPrefix.replace(/\/+$/,'');
@@ -577,7 +898,59 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
   // De-duplicate but guarantee we have at least one seed line
   const canonicalSeeds = Array.from(new Set([seedNoSlash, seedSlash].map(u => u.replace(/#.*$/,''))));
 
-  seedBuckets(frontierDir, canonicalSeeds, bucketParts);
+  // --coordinator: this process's telemetry server owns the queue + seen set (workers claim over HTTP)
+  let coordinator = null;
+  const coordinatorUrl = `http://127.0.0.1:${TELEMETRY_PORT}`;
+  if (argv.coordinator) {
+    coordinator = createCoordinator({
+      parts: bucketParts,
+      workers: cfg.shards,
+      outDir: cfg.outDir,
+      token: process.env.MC_COORDINATOR_TOKEN || '',
+      // what a remote worker needs to crawl exactly like the local children
+      settings: {
+        base: cfg.base,
+        pathPrefix: String(cfg.pathPrefix || '').replace(/^["']|["']$/g, ''),
+        scope: { include: scope.include, exclude: scope.exclude, maxDepth: scope.maxDepth },
+        robots: robotsMode,
+        sitemapMaxUrls: Number(argv.sitemapMaxUrls) || 0,
+        reconcile: !!argv.reconcile,
+        keepPageParam: !!cfg.keepPageParam,
+        metaStrategy: String(argv.metaStrategy || 'browser'),
+        linksMode: String(argv.linksMode || 'full'),
+        bucketParts
+      },
+      log,
+      onBucket: (r, data) => { try { telemetry.bucketUpdate(r, data); } catch {} },
+      onWorker: (type, info) => {
+        console.log(`[coordinator] ${type}`, info);
+        try { telemetry.event({ type, ...info }); } catch {}
+        try { telemetry.threadStatus({ workerId: info.workerId, phase: type.split('/')[1], url: info.remote ? `remote ${info.name}@${info.host}` : '' }); } catch {}
+      },
+      // remote workers' URL lists join the manifest exactly like a local child's urlsOutFile
+      onUpload: (kind, workerId, file) => {
+        if (kind !== 'urls') return;
+        try {
+          const urls = JSON.parse(fs.readFileSync(file, 'utf8'));
+          fs.appendFileSync(master, urls.map(u => `${u}\n`).join(''), 'utf8');
+          console.log('[append]', path.basename(file), '→', path.relative(process.cwd(), master), `(+${urls.length}, remote W${workerId})`);
+        } catch (e) {
+          console.warn('[append warn]', String(e && e.message ? e.message : e));
+        }
+      }
+    });
+    telemetry.mount(coordinator.handle);
+    console.log('[frontier] coordinator mode', { url: `${coordinatorUrl}/frontier/*`, buckets: bucketParts, bind: argv.coordinatorHost || '127.0.0.1' });
+    if (argv.coordinatorHost) console.log(`[frontier] remote workers: node src/index.js --coordinator http://<this-host>:${TELEMETRY_PORT} --outDir <temp dir>`);
+  }
+  // seeds are depth 0; each carries its top-level section (the key the seed-scan groups by) for quotas
+  const seedEntries = (urls) => urls.map(u => ({ url: u, depth: 0, section: sectionKey(u, prefix || '/') }));
+  const enqueue = (urls) => coordinator ? coordinator.append(seedEntries(urls)) : appendToBuckets(frontierDir, seedEntries(urls), bucketParts);
+
+  if (!resuming) {
+    if (coordinator) coordinator.append(seedEntries(canonicalSeeds));
+    else seedBuckets(frontierDir, seedEntries(canonicalSeeds), bucketParts);
+  }
   // DEBUG: show a safe peek so we can confirm we truly wrote URL lines (not just CRLF)
   try {
     const bucket0 = path.join(frontierDir, `bucket.0.ndjson`);
@@ -606,229 +979,294 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
 
   const seedUrl = new URL(prefix || '/', cfg.base).toString();
 
-  if (await stopRequested()) {
-    telemetry.step('done');
-    console.log('[orchestrator] stop requested — exiting before seed-scan');
-    return;
-  }
-
-
-  telemetry.step('seed-scan');
-  try { telemetry.threadStatus({ pid: process.pid, phase: 'seed-scan', url: seedUrl }); } catch {}
-  console.log(`[orchestrator] seed-scan ${seedUrl} to find first-level sections…`);
-  const browser = await chromium.launch({
-    headless: process.env.PLAYWRIGHT_HEADLESS === '1',
-    args: ['--disable-dev-shm-usage']
-  });
-  const context = await browser.newContext({
-    ignoreHTTPSErrors: true,
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119 Safari/537.36',
-    locale: 'en-US'
-  });
-  context.setDefaultNavigationTimeout(30000);
-  context.setDefaultTimeout(10000);
-
-  await context.route('**/*', (route) => {
-    const u = route.request().url();
-    if (/\.(png|jpe?g|gif|webp|svg|ico|woff2?|ttf|otf|mp4|webm|avi|mov)(\?|$)/i.test(u)) return route.abort();
-    if (/(googletagmanager|google-analytics|doubleclick|facebook|segment|mixpanel|hotjar)\./i.test(u)) return route.abort();
-    return route.continue();
-  });
-
   let sections = [];
   let rootUrls = [];
   let filtered = [];
 
-  try {
-    const page = await context.newPage();
-
-    // retry seed navigation up to 3 times with exponential backoff
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        await page.goto(seedUrl, { waitUntil: 'domcontentloaded', timeout: 30000, referer: cfg.base });
-        break;
-      } catch (e) {
-        if (attempt === 3) throw e;
-        await page.waitForTimeout(800 * attempt);
-      }
+  if (resuming) {
+    // frontier already seeded by the interrupted attempt; reuse its sections for the follow-up tasks
+    sections = Array.isArray(resumeState.sections) ? resumeState.sections : [];
+  } else {
+    if (await stopRequested()) {
+      telemetry.step('done');
+      console.log('[orchestrator] stop requested — exiting before seed-scan');
+      if (UNATTENDED) process.exit(EXIT.stopped);
+      return;
     }
-    try { await page.waitForLoadState('networkidle', { timeout: 3000 }); } catch {}
-
-    // lightweight “reveal”
-    const clickMs = 120, hoverMs = 120;
-    const clickSafe = async (h) => { try { await h.click({ timeout: 500 }); await page.waitForTimeout(clickMs); } catch {} };
-    const hoverSafe = async (h) => { try { await h.hover({ timeout: 500 }); await page.waitForTimeout(hoverMs); } catch {} };
-    const menuButtons = await page.$$(
-      'button[aria-expanded="false"],button[aria-controls],' +
-      '[role="button"][aria-expanded="false"],[data-toggle],[data-action*="menu"],[data-action*="expand"]'
-    );
-    for (const btn of menuButtons.slice(0, 20)) await clickSafe(btn);
-    const hoverables = await page.$$(
-      'nav [aria-haspopup="true"], nav .dropdown, nav .menu, .nav [aria-expanded]'
-    );
-    for (const el of hoverables.slice(0, 32)) await hoverSafe(el);
-    try { await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight)); } catch {}
-    await page.waitForTimeout(200);
-
-    const links = await page.evaluate(() => {
-      const toAbs = (h) => { try { return new URL(h, location.href).href; } catch { return ''; } };
-      const bad = /^(javascript:|mailto:|tel:|data:)/i;
-      const fromOnclick = (code) => {
-        if (!code) return '';
-        const m =
-          code.match(/(?:window\.open|location\.assign|location\.replace)\(\s*['"]([^'"]+)['"]\s*\)/i) ||
-          code.match(/(?:window\.location|location)\s*=\s*['"]([^'"]+)['"]/i) ||
-          code.match(/location\.href\s*=\s*['"]([^'"]+)['"]/i);
-        return m ? m[1] : '';
-      };
 
-      const nodes = Array.from(document.querySelectorAll(
-        'a[href], [role="link"], button, [role="button"], [data-href], [data-url], [onclick]'
-      ));
-      const out = [];
-      for (const el of nodes) {
-        if (el.hasAttribute('href')) {
-          const raw = el.getAttribute('href') || '';
-          if (!raw || bad.test(raw)) continue;
-          out.push(toAbs(raw.split('#')[0]));
-        } else if (el.hasAttribute('data-href') || el.hasAttribute('data-url')) {
-          const raw = el.getAttribute('data-href') || el.getAttribute('data-url') || '';
-          if (!raw || bad.test(raw)) continue;
-          out.push(toAbs(raw.split('#')[0]));
-        } else if (el.hasAttribute('onclick')) {
-          const dest = fromOnclick(el.getAttribute('onclick') || '');
-          if (dest && !bad.test(dest)) out.push(toAbs(dest.split('#')[0]));
-        }
-      }
-      return out;
-    });
 
-    filtered = links.map(href => {
-      try {
-        const u = new URL(href);
-        if (!sameSite(u)) return null;
-        const n = new URL(u.pathname + u.search, origin);
-        return n.toString();
-      } catch { return null; }
-    }).filter(Boolean).filter(href => {
-      try { const u = new URL(href); return !prefix || u.pathname.startsWith(prefix); }
-      catch { return false; }
+    telemetry.step('seed-scan');
+    try { telemetry.threadStatus({ pid: process.pid, phase: 'seed-scan', url: seedUrl }); } catch {}
+    console.log(`[orchestrator] seed-scan ${seedUrl} to find first-level sections…`);
+    const browser = await chromium.launch({
+      headless: process.env.PLAYWRIGHT_HEADLESS === '1',
+      args: ['--disable-dev-shm-usage']
+    });
+    const context = await browser.newContext({
+      ignoreHTTPSErrors: true,
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119 Safari/537.36',
+      locale: 'en-US'
+    });
+    context.setDefaultNavigationTimeout(30000);
+    context.setDefaultTimeout(10000);
+
+    await context.route('**/*', (route) => {
+      const u = route.request().url();
+      if (/\.(png|jpe?g|gif|webp|svg|ico|woff2?|ttf|otf|mp4|webm|avi|mov)(\?|$)/i.test(u)) return route.abort();
+      if (/(googletagmanager|google-analytics|doubleclick|facebook|segment|mixpanel|hotjar)\./i.test(u)) return route.abort();
+      return route.continue();
     });
 
-    const secSet = new Set();
-    for (const href of filtered) {
-      const pn = new URL(href).pathname;
-      const key = sectionKeyFromPathname(pn);
-      if (key) secSet.add(key);
-      else rootUrls.push(new URL(href).toString().split('#')[0]);
-    }
-    sections = Array.from(secSet);
-    rootUrls = dedupe(rootUrls);
-  } catch (e) {
-    console.warn('[orchestrator] seed-scan failed, continuing with root-only crawl:', String(e && e.message ? e.message : e));
-    sections = [];
-    rootUrls = [seedUrl];
-    filtered = [];
-  } finally {
-    try { await context.close(); } catch {}
-    if (process.env.PLAYWRIGHT_HEADLESS === '1') {
-     try { await browser.close(); } catch {}
-   } else {
-     global.__mc_visibleBrowser = browser;
-   }
-  }
 
+    try {
+      const page = await context.newPage();
 
-  if (!sections.length && !rootUrls.length) rootUrls = [seedUrl];
+      // retry seed navigation up to 3 times with exponential backoff
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        try {
+          await page.goto(seedUrl, { waitUntil: 'domcontentloaded', timeout: 30000, referer: cfg.base });
+          break;
+        } catch (e) {
+          if (attempt === 3) throw e;
+          await page.waitForTimeout(800 * attempt);
+        }
+      }
+      try { await page.waitForLoadState('networkidle', { timeout: 3000 }); } catch {}
+
+      // lightweight “reveal”
+      const clickMs = 120, hoverMs = 120;
+      const clickSafe = async (h) => { try { await h.click({ timeout: 500 }); await page.waitForTimeout(clickMs); } catch {} };
+      const hoverSafe = async (h) => { try { await h.hover({ timeout: 500 }); await page.waitForTimeout(hoverMs); } catch {} };
+      const menuButtons = await page.$$(
+        'button[aria-expanded="false"],button[aria-controls],' +
+        '[role="button"][aria-expanded="false"],[data-toggle],[data-action*="menu"],[data-action*="expand"]'
+      );
+      for (const btn of menuButtons.slice(0, 20)) await clickSafe(btn);
+      const hoverables = await page.$$(
+        'nav [aria-haspopup="true"], nav .dropdown, nav .menu, .nav [aria-expanded]'
+      );
+      for (const el of hoverables.slice(0, 32)) await hoverSafe(el);
+      try { await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight)); } catch {}
+      await page.waitForTimeout(200);
+
+      const links = await page.evaluate(() => {
+        const toAbs = (h) => { try { return new URL(h, location.href).href; } catch { return ''; } };
+        const bad = /^(javascript:|mailto:|tel:|data:)/i;
+        const fromOnclick = (code) => {
+          if (!code) return '';
+          const m =
+            code.match(/(?:window\.open|location\.assign|location\.replace)\(\s*['"]([^'"]+)['"]\s*\)/i) ||
+            code.match(/(?:window\.location|location)\s*=\s*['"]([^'"]+)['"]/i) ||
+            code.match(/location\.href\s*=\s*['"]([^'"]+)['"]/i);
+          return m ? m[1] : '';
+        };
+
+        const nodes = Array.from(document.querySelectorAll(
+          'a[href], [role="link"], button, [role="button"], [data-href], [data-url], [onclick]'
+        ));
+        const out = [];
+        for (const el of nodes) {
+          if (el.hasAttribute('href')) {
+            const raw = el.getAttribute('href') || '';
+            if (!raw || bad.test(raw)) continue;
+            out.push(toAbs(raw.split('#')[0]));
+          } else if (el.hasAttribute('data-href') || el.hasAttribute('data-url')) {
+            const raw = el.getAttribute('data-href') || el.getAttribute('data-url') || '';
+            if (!raw || bad.test(raw)) continue;
+            out.push(toAbs(raw.split('#')[0]));
+          } else if (el.hasAttribute('onclick')) {
+            const dest = fromOnclick(el.getAttribute('onclick') || '');
+            if (dest && !bad.test(dest)) out.push(toAbs(dest.split('#')[0]));
+          }
+        }
+        return out;
+      });
 
-  console.log(`[orchestrator] sections found: ${sections.length} ${JSON.stringify(sections.slice(0, 20))}${sections.length>20?'…':''}`);
-  if (rootUrls.length) console.log(`[orchestrator] root URLs under ${prefix}: ${rootUrls.length}`);
+      filtered = links.map(href => {
+        try {
+          const u = new URL(href);
+          if (!sameSite(u)) return null;
+          const n = new URL(u.pathname + u.search, origin);
+          return n.toString();
+        } catch { return null; }
+      }).filter(Boolean).filter(href => scope.allows(href));
+
+      const secSet = new Set();
+      for (const href of filtered) {
+        const pn = new URL(href).pathname;
+        const key = sectionKeyFromPathname(pn);
+        if (key) secSet.add(key);
+        else rootUrls.push(new URL(href).toString().split('#')[0]);
+      }
+      sections = Array.from(secSet);
+      rootUrls = dedupe(rootUrls);
+    } catch (e) {
+      console.warn('[orchestrator] seed-scan failed, continuing with root-only crawl:', String(e && e.message ? e.message : e));
+      sections = [];
+      rootUrls = [seedUrl];
+      filtered = [];
+    } finally {
+      try { await context.close(); } catch {}
+      if (process.env.PLAYWRIGHT_HEADLESS === '1') {
+       try { await browser.close(); } catch {}
+     } else {
+       global.__mc_visibleBrowser = browser;
+     }
+    }
 
-  // --- bootstrap frontier ---
-  const sectionUrls = sections.map(s => new URL(`${prefix}/${s}`.replace(/\/+/g,'/'), cfg.base).toString());
-  const bootstrapSeeds = Array.from(new Set([seedUrl, ...rootUrls, ...sectionUrls, ...filtered]));
-  if (bootstrapSeeds.length) {
-    appendToBuckets(frontierDir, bootstrapSeeds, bucketParts);
-    // Announce bucket ownership/initial progress so the Buckets panel isn't empty
-    try {
-      // Accept either "bucket.N.ndjson" or "bucket-N.ndjson"
-      const files = fs.readdirSync(frontierDir).filter(f => /^bucket[.-]\d+\.ndjson$/i.test(f));
-      // NEW: sanity log of per-bucket line counts so we can see if frontier is truly empty
-      const lineCount = (p) => {
-        try { return (fs.readFileSync(p, 'utf8').match(/\n/g) || []).length; } catch { return 0; }
-      };
-      const counts = files
-        .map(f => [f, lineCount(path.join(frontierDir, f))])
-        .sort((a,b) => a[0].localeCompare(b[0]));
-      console.log('[frontier] bucket files:', counts.map(([f,c]) => `${f}:${c}`).join(', '));
-      const totalLines = counts.reduce((n, [,c]) => n + c, 0);
 
-        // Keep the friendly warning
-        if (totalLines === 0) {
-          console.warn('[frontier] WARNING: all buckets are empty after seeding — workers will exit immediately.');
-        }
+    if (!sections.length && !rootUrls.length) rootUrls = [seedUrl];
 
-        // Extra peek: print the very first non-empty line we see in the first bucket
+    console.log(`[orchestrator] sections found: ${sections.length} ${JSON.stringify(sections.slice(0, 20))}${sections.length>20?'…':''}`);
+    if (rootUrls.length) console.log(`[orchestrator] root URLs under ${prefix}: ${rootUrls.length}`);
+
+    // --- bootstrap frontier ---
+    const sectionUrls = sections.map(s => new URL(`${prefix}/${s}`.replace(/\/+/g,'/'), cfg.base).toString());
+    // the prefix root always seeds the crawl; everything else must be in scope (and, with --robots obey, allowed)
+    const robotsOk = (u) => {
+      const hit = robots ? robots.check(u) : null;
+      if (hit) robotsBlocked.record(u, hit, seedUrl);
+      return !hit || !robotsBlocked.enforce;
+    };
+    const bootstrapSeeds = Array.from(new Set([seedUrl, ...[...rootUrls, ...sectionUrls, ...filtered].filter(u => scope.allows(u) && robotsOk(u))]));
+    robotsBlocked.save(path.join(cfg.outDir, 'robots-blocked.part0.json')); // seed-scan hits (workers are 1..N)
+    if (bootstrapSeeds.length) {
+      enqueue(bootstrapSeeds);
+      // Announce bucket ownership/initial progress so the Buckets panel isn't empty
       try {
-        const first = files.sort()[0];
-        if (first) {
-          const p = path.join(frontierDir, first);
-          const txt = fs.readFileSync(p,'utf8');
-          const firstLine = (txt.split(/\r?\n/).map(s => s.trim()).filter(Boolean)[0] || '');
-          if (firstLine) {
-            console.log('[frontier] first line sample:', firstLine);
-          } else {
-            console.warn('[frontier] first line sample is empty (only blank lines present)');
+        // Accept either "bucket.N.ndjson" or "bucket-N.ndjson"
+        const files = fs.readdirSync(frontierDir).filter(f => /^bucket[.-]\d+\.ndjson$/i.test(f));
+        // NEW: sanity log of per-bucket line counts so we can see if frontier is truly empty
+        const lineCount = (p) => {
+          try { return (fs.readFileSync(p, 'utf8').match(/\n/g) || []).length; } catch { return 0; }
+        };
+        const counts = files
+          .map(f => [f, lineCount(path.join(frontierDir, f))])
+          .sort((a,b) => a[0].localeCompare(b[0]));
+        console.log('[frontier] bucket files:', counts.map(([f,c]) => `${f}:${c}`).join(', '));
+        const totalLines = counts.reduce((n, [,c]) => n + c, 0);
+
+          // Keep the friendly warning
+          if (totalLines === 0 && !coordinator) {
+            console.warn('[frontier] WARNING: all buckets are empty after seeding — workers will exit immediately.');
+          }
+
+          // Extra peek: print the very first non-empty line we see in the first bucket
+        try {
+          const first = files.sort()[0];
+          if (first) {
+            const p = path.join(frontierDir, first);
+            const txt = fs.readFileSync(p,'utf8');
+            const firstLine = (txt.split(/\r?\n/).map(s => s.trim()).filter(Boolean)[0] || '');
+            if (firstLine) {
+              console.log('[frontier] first line sample:', firstLine);
+            } else {
+              console.warn('[frontier] first line sample is empty (only blank lines present)');
+            }
           }
+        } catch {}
+
+          // NEW: hard-stop if literally every bucket has 0 lines (avoid “done with no work” confusion)
+          // (--coordinator keeps the queue in memory: no bucket files, ask the coordinator instead)
+          const noWork = coordinator ? coordinator.stats().pending === 0 : counts.every(([, c]) => c === 0);
+          if (noWork) {
+            console.warn('[frontier] No work after seeding — check base/prefix/bucketParts. Aborting run.');
+            telemetry.event({ type: 'error', msg: coordinator ? 'No work after seeding (coordinator queue empty).' : 'No work after seeding (0 lines in all buckets).' });
+            telemetry.step('done');
+            try {
+              if (global.__mc_visibleBrowser) { await global.__mc_visibleBrowser.close(); global.__mc_visibleBrowser = null; }
+            } catch {}
+            await finishRun(EXIT.noWork);
+            return;
+          }
+        for (const f of files) {
+        const m = f.match(/bucket[.-](\d+)\.ndjson/i);
+          if (!m) continue;
+          const r = Number(m[1]);
+          // owner "none" at bootstrap, 0 processed/pending unknown (UI will update when workers claim)
+          if (telemetry.bucketOwner) telemetry.bucketOwner(r, 'none');
+          if (telemetry.bucketProgress) telemetry.bucketProgress(r, 0, 0);
         }
       } catch {}
 
-        // NEW: hard-stop if literally every bucket has 0 lines (avoid “done with no work” confusion)
-        if (counts.every(([, c]) => c === 0)) {
-          console.warn('[frontier] No work after seeding — check base/prefix/bucketParts. Aborting run.');
-          telemetry.event({ type: 'error', msg: 'No work after seeding (0 lines in all buckets).' });
-          telemetry.step('done');
-          try {
-            if (global.__mc_visibleBrowser) { await global.__mc_visibleBrowser.close(); global.__mc_visibleBrowser = null; }
-          } catch {}
-          await waitForResetThenPreflight();
-          return;
-        }
-      for (const f of files) {
-      const m = f.match(/bucket[.-](\d+)\.ndjson/i);
-        if (!m) continue;
-        const r = Number(m[1]);
-        // owner "none" at bootstrap, 0 processed/pending unknown (UI will update when workers claim)
-        if (telemetry.bucketOwner) telemetry.bucketOwner(r, 'none');
-        if (telemetry.bucketProgress) telemetry.bucketProgress(r, 0, 0);
+      telemetry.step('bootstrap-frontier');
+      console.log('[orchestrator] bootstrap frontier +', bootstrapSeeds.length, 'seeds');
+      // Sanity: log per-bucket line counts and show a sample line so we know
+    try {
+      const files = fs.readdirSync(frontierDir).filter(f => /^bucket\.\d+\.ndjson$/i.test(f));
+      const lineCount = (p) => {
+        try { return (fs.readFileSync(p, 'utf8').match(/\n/g) || []).length; } catch { return 0; }
+      };
+     const counts = files.map(f => [f, lineCount(path.join(frontierDir, f))]).sort((a,b)=>a[0].localeCompare(b[0]));
+      console.log('[frontier] bucket files:', counts.map(([f,c]) => `${f}:${c}`).join(', '));
+      const first = files.sort()[0];
+      if (first) {
+        const txt = fs.readFileSync(path.join(frontierDir, first), 'utf8');
+        const firstLine = (txt.split(/\r?\n/).map(s => s.trim()).filter(Boolean)[0] || '');
+        console.log('[frontier] first line sample:', firstLine || '(empty)');
       }
     } catch {}
 
-    telemetry.step('bootstrap-frontier');
-    console.log('[orchestrator] bootstrap frontier +', bootstrapSeeds.length, 'seeds');
-    // Sanity: log per-bucket line counts and show a sample line so we know
-  try {
-    const files = fs.readdirSync(frontierDir).filter(f => /^bucket\.\d+\.ndjson$/i.test(f));
-    const lineCount = (p) => {
-      try { return (fs.readFileSync(p, 'utf8').match(/\n/g) || []).length; } catch { return 0; }
-    };
-   const counts = files.map(f => [f, lineCount(path.join(frontierDir, f))]).sort((a,b)=>a[0].localeCompare(b[0]));
-    console.log('[frontier] bucket files:', counts.map(([f,c]) => `${f}:${c}`).join(', '));
-    const first = files.sort()[0];
-    if (first) {
-      const txt = fs.readFileSync(path.join(frontierDir, first), 'utf8');
-      const firstLine = (txt.split(/\r?\n/).map(s => s.trim()).filter(Boolean)[0] || '');
-      console.log('[frontier] first line sample:', firstLine || '(empty)');
     }
-  } catch {}
 
+    try {
+      fs.writeFileSync(stateFile, JSON.stringify({
+        base: cfg.base, pathPrefix: cfg.pathPrefix || '', bucketParts, sections, startedAt: new Date().toISOString()
+      }, null, 2), 'utf8');
+    } catch {}
   }
 
 
+  // --- sitemaps: expanded once here (robots.txt Sitemap: lines first), every worker reads the entries ---
+  const sitemapFile = path.join(cfg.outDir, 'sitemap-urls.ndjson');
+  if (!(resuming && fs.existsSync(sitemapFile))) {
+    const sm = await discoverSitemapEntries(cfg.base, {
+      sitemaps: robots ? robots.sitemaps : [],
+      maxUrls: Number(argv.sitemapMaxUrls) > 0 ? Number(argv.sitemapMaxUrls) : undefined
+    });
+    writeSitemapEntries(sitemapFile, sm.entries);
+    const kinds = sm.files.reduce((acc, f) => { acc[f.kind] = (acc[f.kind] || 0) + 1; return acc; }, {});
+    console.log('[orchestrator] sitemaps', { urls: sm.entries.length, files: sm.files.length, kinds, capped: sm.capped });
+    if (sm.capped) console.warn(`[orchestrator] sitemap URL cap reached (${sm.entries.length}); raise --sitemapMaxUrls to read more`);
+    try { telemetry.event({ type: 'sitemap/expanded', urls: sm.entries.length, files: sm.files.length, capped: sm.capped }); } catch {}
+  }
+
   // --- tasks: N frontier workers ---
   const parts = cfg.shards;
+
+  // --sectionQuota N|auto: claims allowed per top-level section, so a --maxPages crawl still covers
+  // every section the seed-scan found (auto: the workers' combined page cap split evenly, counting
+  // pages directly under the prefix as one more section)
+  let sectionQuota = 0;
+  if (argv.sectionQuota) {
+    if (String(argv.sectionQuota).toLowerCase() === 'auto') {
+      const cap = (Number(argv.maxPages) || 0) * parts;
+      if (cap > 0) sectionQuota = Math.ceil(cap / (sections.length + 1));
+      else console.warn('[frontier] --sectionQuota auto needs --maxPages; no quota applied');
+    } else {
+      sectionQuota = Math.max(0, parseInt(argv.sectionQuota, 10) || 0);
+    }
+    if (sectionQuota) {
+      console.log('[frontier] section quota', { perSection: sectionQuota, sections: sections.length + 1 });
+      if (coordinator) coordinator.setSectionQuota(sectionQuota);
+    }
+  }
+  const priorityArgs = [
+    '--sectionRoot', prefix || '/',
+    ...(sectionQuota ? ['--sectionQuota', String(sectionQuota)] : []),
+  ];
+
+  // resume: each frontier worker carries a slice of the already-crawled pages into its final report
+  const resumeFiles = [];
+  if (resuming && recovered.length) {
+    for (let i = 0; i < parts; i++) {
+      const f = path.join(cfg.outDir, `resume-urls.part${i + 1}.json`);
+      fs.writeFileSync(f, JSON.stringify(recovered.filter((_, k) => k % parts === i)), 'utf8');
+      resumeFiles[i] = f;
+    }
+  }
   const children = new Set();
-  const tasks = Array.from({ length: parts }, (_, i) => ({
+  const frontierTask = (i) => ({
     kind: 'frontier',
     workerId: i + 1,
     argv: [
@@ -843,8 +1281,12 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
       '--workerId', String(i + 1),
       '--workerTotal', String(parts),
       '--urlsOutFile', path.join(cfg.outDir, `urls-final.part${i+1}.json`),
+      ...(resumeFiles[i] ? ['--resumeUrlsFile', resumeFiles[i]] : []),
+      ...(coordinator ? ['--coordinator', coordinatorUrl] : []),
+      ...priorityArgs,
     ]
-  }));
+  });
+  const tasks = Array.from({ length: parts }, (_, i) => frontierTask(i));
 
 
   // optional: section follow-up
@@ -866,6 +1308,8 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
         '--urlsOutFile', urlsOutFile,
         '--workerId', String(partCounter),
         '--workerTotal', String(sections.length + parts),
+        ...(coordinator ? ['--coordinator', coordinatorUrl] : []),
+        ...priorityArgs,
       ]
     });
     }
@@ -876,10 +1320,12 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
   // --- pool ---
   const maxParallel = Math.min(cfg.shards, tasks.length);
   let running = 0, idx = 0;
+  let relaunchedAtDone = -1; // coordinator.stats().done when the last extra worker was launched
 
   async function launchNext() {
     if (await stopRequested()) {
       console.log('[orchestrator] stop requested — not launching new tasks');
+      if (UNATTENDED && running === 0) process.exit(EXIT.stopped);
       return;
     }
     if (idx >= tasks.length) return;
@@ -896,6 +1342,14 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
     '--outDir', cfg.outDir,
     '--rebuildLinks', argv.rebuildLinks ? 'true' : 'false',
     '--dropCache',   argv.dropCache   ? 'true' : 'false',
+    '--metaStrategy', String(argv.metaStrategy || 'browser'),
+    '--linksMode', String(argv.linksMode || 'full'),
+    '--deferReports', 'true',
+    ...(Number(argv.maxPages) > 0 ? ['--maxPages', String(Number(argv.maxPages))] : []),
+    ...scope.toArgs(),
+    '--robots', robotsMode,
+    '--sitemapFile', sitemapFile,
+    ...(argv.reconcile ? ['--reconcile', 'true'] : []),
     ...t.argv
   ];
 
@@ -919,7 +1373,7 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
       children.delete(child);
       running--;
       telemetry.threadStatus({ workerId: t.workerId, phase: `exit:${t.kind}`, done: true, code });
-      if (code !== 0) console.error(`Error: worker for ${t.kind}${t.section?`:${t.section}`:''} exited ${code}`);
+      if (code !== 0) { workerFailures++; console.error(`Error: worker for ${t.kind}${t.section?`:${t.section}`:''} exited ${code}`); }
 
       // Append this worker's URLs
       try {
@@ -943,17 +1397,65 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
         telemetry.step('done');
         console.log('[orchestrator] stop requested — halted');
         try { if (global.__mc_visibleBrowser) { await global.__mc_visibleBrowser.close(); global.__mc_visibleBrowser = null; } } catch {}
-        await waitForResetThenPreflight();
+        await finishRun(EXIT.stopped);
         return;
       } else if (idx < tasks.length) {
         // keep the pool fed
         launchNext();
       } else if (running === 0) {
+        if (coordinator) {
+          // remote workers may still be crawling / uploading their parts
+          if (coordinator.activeRemotes() > 0) {
+            console.log('[coordinator] waiting for remote workers', coordinator.stats());
+            telemetry.step('wait-remotes');
+            if (!(await coordinator.waitForRemotes({ shouldStop: stopRequested }))) {
+              coordinator.close();
+              telemetry.step('done');
+              console.log('[orchestrator] stop requested — halted');
+              await finishRun(EXIT.stopped);
+              return;
+            }
+          }
+          // URLs a lost remote handed back after the local workers ran dry: crawl them with an extra
+          // local worker, again as long as each one gets through some of the queue
+          const { pending, done } = coordinator.stats();
+          if (pending > 0 && done > relaunchedAtDone) {
+            relaunchedAtDone = done;
+            const t = frontierTask(Math.max(...tasks.map(x => x.workerId)));
+            console.log('[coordinator] work left in the queue — launching another local worker', { pending, workerId: t.workerId });
+            tasks.push(t);
+            launchNext();
+            return;
+          }
+          if (pending > 0) console.warn(`[coordinator] ${pending} queued URLs were never crawled (the last extra worker made no progress)`);
+          coordinator.close();
+        }
+
         // finalize the run
         telemetry.step('merge-urls');
         const uniqueCount = mergeManifestDedup(master, cfg.outDir);
         telemetry.bump('urlsFound', uniqueCount);
 
+        await runFinalReports(['--mode', 'frontier']);
+        const mergedParts = mergeCatalogAndLinks();
+
+        // --reconcile: sitemap vs crawl, over the merged link graph
+        if (argv.reconcile) {
+          telemetry.step('reconcile');
+          try {
+            const rec = await writeReconciliation(cfg.outDir, { keepPageParam: cfg.keepPageParam, scope, log: console });
+            if (rec) {
+              appendSummary(cfg.outDir, rec);
+              for (const r of rec) console.log('[reconcile]', path.basename(r.file), r.rows, 'rows');
+            } else {
+              console.warn('[reconcile] nothing to compare (no sitemap URLs or no crawl results)');
+            }
+          } catch (e) {
+            console.warn('[reconcile warn]', String(e && e.message ? e.message : e));
+          }
+        }
+        await checkLinks();
+
         console.log('[orchestrator] done');
 
         telemetry.step('cleanup');
@@ -963,7 +1465,8 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
           const rm = (p) => { try { fs.rmSync(p, { recursive: true, force: true }); console.log('[clean]', path.relative(process.cwd(), p)); } catch (e) { console.warn('[clean warn]', e.message); } };
 
           for (const f of fs.readdirSync(out)) {
-            if (/^urls-final\.part\d+\.json$/i.test(f)) rm(path.join(out, f));
+            if (/^(urls-final|pages|resume-urls)\.part\d+\.json$/i.test(f)) rm(path.join(out, f));
+            if (mergedParts.length && /^(site_catalog\.part\d+\.csv|internal-links\.part\d+\.ndjson|crawl-traps\.part\d+\.json|robots-blocked\.part\d+\.json|reconcile-crawled\.part\d+\.json|redirects\.part\d+\.json)$/i.test(f)) rm(path.join(out, f));
           }
 
           rm(path.join(out, 'frontier'));
@@ -987,7 +1490,7 @@ console.log(`[orchestrator] ${new Date().toLocaleTimeString()} CPU=${os.cpus().l
         const SS = Math.floor((MS%60000)/1000);
         console.log(`[orchestrator] done in ${HH}h ${MM}m ${SS}s (${MS.toLocaleString()} ms)`);
         try { if (global.__mc_visibleBrowser) { await global.__mc_visibleBrowser.close(); global.__mc_visibleBrowser = null; } } catch {}
-        await waitForResetThenPreflight();
+        await finishRun(workerFailures ? EXIT.workerFailed : EXIT.ok);
       }
     });
   }
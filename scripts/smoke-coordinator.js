@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+// scripts/smoke-coordinator.js
+'use strict';
+
+// Smoke run for --coordinator mode: serves a small local site (slow on purpose, so the crawl takes a
+// while), starts an unattended orchestrator run against it and, once seeding has filled the
+// coordinator queue, joins two extra workers the way remote machines would
+// (node src/index.js --coordinator <url> --outDir <own temp dir>). The first of them is killed
+// after its first page, so its claims only come back through the lease. Passes when the run exits 0
+// and urls-final.txt lists every page of the site; fails on "No work after seeding".
+// Needs the Playwright browser (seed-scan and workers render pages).
+//   npm run smoke:coordinator
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const TIMEOUT_MS = Number(process.env.MC_SMOKE_TIMEOUT_MS || 240000);
+const PAGE_DELAY_MS = 250;
+const LEASE_SEC = 3; // a killed worker's claims are handed back after this
+const EXIT_NO_WORK = 3; // EXIT.noWork in shard-run.js
+
+// / -> /s0../s4 -> /sN/p0../sN/p4 (31 pages)
+const PAGES = {};
+const link = (p) => `<a href="${p}">${p}</a>`;
+const sections = Array.from({ length: 5 }, (_, i) => `/s${i}`);
+PAGES['/'] = sections.map(link).join(' ');
+for (const s of sections) {
+  const kids = Array.from({ length: 5 }, (_, i) => `${s}/p${i}`);
+  PAGES[s] = kids.map(link).join(' ');
+  for (const k of kids) PAGES[k] = link(s);
+}
+
+const site = http.createServer((req, res) => {
+  if (req.url === '/robots.txt') { res.writeHead(404); return res.end(); }
+  const body = PAGES[req.url.split('?')[0]];
+  setTimeout(() => {
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'text/html' });
+    res.end(`<!doctype html><html><head><title>${req.url}</title></head><body>${body || ''}</body></html>`);
+  }, PAGE_DELAY_MS);
+});
+
+// a free port for the orchestrator's telemetry server (it hosts the coordinator queue)
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = http.createServer();
+    s.on('error', reject);
+    s.listen(0, '127.0.0.1', () => { const { port } = s.address(); s.close(() => resolve(port)); });
+  });
+}
+
+const pathOf = (u) => { try { return new URL(u).pathname.replace(/\/+$/, '') || '/'; } catch { return ''; } };
+
+site.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${site.address().port}/`;
+  const telemetryPort = await freePort();
+  const coordinatorUrl = `http://127.0.0.1:${telemetryPort}`;
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-smoke-coordinator-'));
+  const outDir = path.join(tmp, 'run');
+  const env = {
+    ...process.env,
+    TELEMETRY_PORT: String(telemetryPort),
+    MC_WORKER_LEASE_SEC: String(LEASE_SEC),
+    PLAYWRIGHT_HEADLESS: '1',
+    NO_VIZ: '1'
+  };
+  const args = [
+    '--unattended', '--coordinator',
+    '--base', base,
+    '--outDir', outDir,
+    '--shards', '1',
+    '--concurrency', '1',
+    '--outputs', 'urls',
+    '--robots', 'off',
+    '--metaStrategy', 'http',
+    '--linksMode', 'lite',
+    '--telemetryPort', String(telemetryPort),
+  ];
+  console.log('[smoke] coordinator run', { base, outDir, telemetryPort, pages: Object.keys(PAGES).length });
+
+  const procs = [];
+  let log = '';
+  let verdict = null;
+  const finish = (ok, why) => {
+    if (verdict) return;
+    verdict = { ok, why };
+    clearTimeout(timer);
+    for (const p of procs) if (p.exitCode === null) { try { p.kill(); } catch {} }
+  };
+  const capture = (child, tag, onChunk) => {
+    const watch = (chunk) => {
+      log += String(chunk).split(/\r?\n/).filter(Boolean).map(l => `[${tag}] ${l}\n`).join('');
+      if (onChunk) onChunk(String(chunk));
+    };
+    child.stdout.on('data', watch);
+    child.stderr.on('data', watch);
+  };
+
+  // spawn, not fork: with an IPC channel the orchestrator would post its telemetry to this process
+  const orchestrator = spawn(process.execPath, [path.join(__dirname, 'shard-run.js'), ...args], {
+    stdio: ['ignore', 'pipe', 'pipe'], env
+  });
+  procs.push(orchestrator);
+
+  // the extra workers: each with its own outDir, like separate machines; the first one is killed
+  // as soon as it has crawled a page
+  let joined = false, killed = false;
+  const joinWorkers = () => {
+    if (joined) return;
+    joined = true;
+    for (let n = 1; n <= 2; n++) {
+      const w = spawn(process.execPath, [
+        path.join(__dirname, '..', 'src', 'index.js'),
+        '--coordinator', coordinatorUrl,
+        '--outDir', path.join(tmp, `worker${n}`),
+        '--workerName', `smoke-${n}`,
+      ], { stdio: ['ignore', 'pipe', 'pipe'], env: { ...env, TELEMETRY_PORT: '' } });
+      procs.push(w);
+      const killAfterFirstPage = n === 1;
+      capture(w, `worker${n}`, (chunk) => {
+        if (killAfterFirstPage && w.exitCode === null && /discoveries/.test(chunk)) {
+          console.log('[smoke] killing worker1 mid-crawl');
+          killed = true;
+          w.kill('SIGKILL');
+        }
+      });
+    }
+  };
+
+  capture(orchestrator, 'orchestrator', () => {
+    if (/No work after seeding/.test(log)) finish(false, 'orchestrator found no work after seeding');
+    else if (/\[orchestrator\] bootstrap frontier \+\s*\d+/.test(log)) joinWorkers();
+  });
+
+  const timer = setTimeout(() => finish(false, `run not finished within ${TIMEOUT_MS} ms`), TIMEOUT_MS);
+
+  orchestrator.on('exit', (code) => {
+    if (!verdict) {
+      if (code !== 0) finish(false, code === EXIT_NO_WORK ? 'exited with EXIT.noWork' : `orchestrator exited ${code}`);
+      else if (!killed) finish(false, 'run finished before worker1 crawled a page (nothing was killed)');
+      else {
+        let crawled = [];
+        try { crawled = fs.readFileSync(path.join(outDir, 'urls-final.txt'), 'utf8').split(/\r?\n/).filter(Boolean); } catch {}
+        const got = new Set(crawled.map(pathOf));
+        const missing = Object.keys(PAGES).filter(p => !got.has(p));
+        if (missing.length) finish(false, `urls-final.txt is missing ${missing.length} pages: ${missing.slice(0, 5).join(' ')}`);
+        else finish(true, `all ${Object.keys(PAGES).length} pages crawled with a worker killed mid-run`);
+      }
+    }
+    site.close();
+    try { fs.rmSync(tmp, { recursive: true, force: true }); } catch {}
+    if (!verdict.ok) console.error(log.split(/\r?\n/).slice(-40).join('\n'));
+    console.log(`[smoke] ${verdict.ok ? 'ok' : 'FAILED'} — ${verdict.why}`);
+    process.exit(verdict.ok ? 0 : 1);
+  });
+});
@@ -0,0 +1,276 @@
+// src/cache/ndjson-store.js
+'use strict';
+
+// Shared, append-only fetch cache: one NDJSON log for all workers instead of fetch-cache.partN.json.
+//   - each line is {"k":<url>,"v":<record>}; the last line for a key wins
+//   - appends + compaction happen under <file>.lock (exclusive-create lock file)
+//   - lazy: only an offset index (key -> byte range) is kept in memory; records are read on get()
+//   - compaction rewrites the live records once the log is mostly superseded lines
+//   - legacy fetch-cache.part*.json files next to the log are imported once, then renamed *.migrated
+
+const fs = require('fs');
+const path = require('path');
+const { loadCache } = require('./file-cache');
+const { acquireLock, releaseLock, touchLock, sleepMs, withRetry } = require('../utils/locks');
+
+const KEY_RE = /^\{"k":("(?:[^"\\]|\\.)*")/;
+const HEAD_BYTES = 4096;          // enough of a line to read its key
+const CHUNK = 1 << 20;
+const TOUCH_MS = 5000;            // lock heartbeat during compaction (the lock goes stale after 30 s untouched)
+
+// Exclusive lock file; a holder that died or sat on it past staleMs is taken over (utils/locks)
+function withFileLock(lockPath, fn, { staleMs = 30000, timeoutMs = 60000 } = {}) {
+  const t0 = Date.now();
+  let fd = -1;
+  while ((fd = acquireLock(lockPath, {}, { ttlMs: staleMs, kind: 'cache' })) < 0) {
+    if (Date.now() - t0 > timeoutMs) throw new Error(`cache lock timeout: ${lockPath}`);
+    sleepMs(25);
+  }
+  try { return fn(); }
+  finally { releaseLock(fd, lockPath); }
+}
+
+function openCacheStore(file, opts = {}) {
+  const log = opts.log || null;
+  const lockPath = `${file}.lock`;
+  const compactMinBytes = Number(opts.compactMinBytes ?? (Number(process.env.MC_CACHE_COMPACT_MB || 8) * 1024 * 1024));
+  const lock = (fn) => withFileLock(lockPath, fn);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let index = new Map();   // key -> { off, len }
+  let scanned = 0;         // bytes of the log already indexed (always a line boundary)
+  let ino = null;
+  let liveBytes = 0;
+  const pending = new Map(); // key -> value not yet flushed
+
+  const statOrNull = () => { try { return fs.statSync(file); } catch { return null; } };
+
+  function reset() { index = new Map(); scanned = 0; liveBytes = 0; ino = null; }
+
+  function indexLine(head, off, len) {
+    const m = KEY_RE.exec(head.toString('utf8'));
+    if (!m) return; // torn / foreign line — ignored
+    let key;
+    try { key = JSON.parse(m[1]); } catch { return; }
+    const prev = index.get(key);
+    liveBytes += len - (prev ? prev.len : 0);
+    index.set(key, { off, len });
+  }
+
+  // Index whatever other workers appended since our last look (or everything after a compaction)
+  function scan() {
+    const st = statOrNull();
+    if (!st) { reset(); return; }
+    if ((ino != null && st.ino !== ino) || st.size < scanned) reset();
+    ino = st.ino;
+    if (st.size <= scanned) return;
+
+    const fd = withRetry(() => fs.openSync(file, 'r'));
+    try {
+      const buf = Buffer.alloc(CHUNK);
+      let pos = scanned, lineStart = scanned, head = null;
+      while (pos < st.size) {
+        const n = fs.readSync(fd, buf, 0, Math.min(CHUNK, st.size - pos), pos);
+        if (n <= 0) break;
+        let from = 0;
+        for (;;) {
+          const nl = buf.indexOf(10, from);
+          if (nl < 0 || nl >= n) break;
+          const part = buf.subarray(from, Math.min(nl, from + HEAD_BYTES));
+          indexLine(head ? Buffer.concat([head, part]) : part, lineStart, pos + nl + 1 - lineStart);
+          head = null;
+          lineStart = pos + nl + 1;
+          from = nl + 1;
+        }
+        if (from < n && (!head || head.length < HEAD_BYTES)) {
+          head = Buffer.concat([head || Buffer.alloc(0), buf.subarray(from, Math.min(n, from + HEAD_BYTES))]);
+        }
+        pos += n;
+      }
+      scanned = lineStart; // an unterminated tail (in-flight append or torn write) is re-read next time
+    } finally {
+      try { fs.closeSync(fd); } catch {}
+    }
+  }
+
+  function readAt(loc) {
+    const fd = withRetry(() => fs.openSync(file, 'r'));
+    try {
+      const buf = Buffer.alloc(loc.len);
+      const n = fs.readSync(fd, buf, 0, loc.len, loc.off);
+      return JSON.parse(buf.subarray(0, n).toString('utf8'));
+    } catch { return null; }
+    finally { try { fs.closeSync(fd); } catch {} }
+  }
+
+  function get(key) {
+    if (pending.has(key)) return pending.get(key);
+    for (let attempt = 0; attempt < 2; attempt++) {
+      let loc = index.get(key);
+      if (!loc) { scan(); loc = index.get(key); }
+      if (!loc) return undefined;
+      const line = readAt(loc);
+      if (line && line.k === key) return line.v;
+      reset(); scan(); // log was compacted underneath us — offsets are stale
+    }
+    return undefined;
+  }
+
+  function set(key, value) { pending.set(key, value); }
+
+  function has(key) { return get(key) !== undefined; }
+
+  function keys() {
+    scan();
+    const out = new Set(index.keys());
+    for (const k of pending.keys()) out.add(k);
+    return Array.from(out);
+  }
+
+  function* values() {
+    for (const k of keys()) {
+      const v = get(k);
+      if (v !== undefined) yield v;
+    }
+  }
+
+  // Caller holds the lock
+  function appendLocked(entries) {
+    scan();
+    let st = statOrNull();
+    let off = st ? st.size : 0;
+    // a crash can leave a torn last line; start ours on a fresh line
+    if (off > 0) {
+      const fd = fs.openSync(file, 'r');
+      const b = Buffer.alloc(1);
+      try { fs.readSync(fd, b, 0, 1, off - 1); } finally { fs.closeSync(fd); }
+      if (b[0] !== 10) { withRetry(() => fs.appendFileSync(file, '\n')); off += 1; }
+    }
+    const lines = entries.map(([k, v]) => JSON.stringify({ k, v }) + '\n');
+    withRetry(() => fs.appendFileSync(file, lines.join(''), 'utf8'));
+    for (let i = 0; i < lines.length; i++) {
+      const len = Buffer.byteLength(lines[i]);
+      const prev = index.get(entries[i][0]);
+      liveBytes += len - (prev ? prev.len : 0);
+      index.set(entries[i][0], { off, len });
+      off += len;
+    }
+    scanned = off;
+    st = statOrNull();
+    if (st) ino = st.ino;
+  }
+
+  // Caller holds the lock: rewrite only the newest line per key. Touches the lock as it goes, so a
+  // long rewrite of a big log isn't taken over as stale by another worker halfway through.
+  function compactLocked() {
+    let touched = Date.now();
+    const heartbeat = () => { if (Date.now() - touched >= TOUCH_MS) { touchLock(lockPath); touched = Date.now(); } };
+    scan();
+    heartbeat();
+    const st = statOrNull();
+    if (!st) return { before: 0, after: 0 };
+    const tmp = `${file}.${process.pid}.compact`;
+    const src = fs.openSync(file, 'r');
+    const dst = fs.openSync(tmp, 'w');
+    const next = new Map();
+    let off = 0;
+    try {
+      const live = Array.from(index.entries()).sort((a, b) => a[1].off - b[1].off);
+      for (const [key, loc] of live) {
+        const buf = Buffer.alloc(loc.len);
+        const n = fs.readSync(src, buf, 0, loc.len, loc.off);
+        if (n !== loc.len || buf[n - 1] !== 10) continue;
+        fs.writeSync(dst, buf, 0, n);
+        next.set(key, { off, len: n });
+        off += n;
+        heartbeat();
+      }
+    } finally {
+      try { fs.closeSync(src); } catch {}
+      try { fs.closeSync(dst); } catch {}
+    }
+    touchLock(lockPath);
+    withRetry(() => fs.renameSync(tmp, file));
+    index = next;
+    scanned = off;
+    liveBytes = off;
+    ino = (statOrNull() || {}).ino ?? null;
+    return { before: st.size, after: off };
+  }
+
+  function flush() {
+    if (!pending.size) return;
+    const entries = Array.from(pending.entries());
+    lock(() => {
+      appendLocked(entries);
+      const size = scanned;
+      if (size > compactMinBytes && size > 2 * liveBytes) {
+        const r = compactLocked();
+        if (log) log.info('cache/compacted', { file: path.basename(file), before: r.before, after: r.after });
+      }
+    });
+    pending.clear();
+  }
+
+  function compact() {
+    flush();
+    return lock(() => compactLocked());
+  }
+
+  // Import fetch-cache.part*.json once (newest lastFetched per URL wins), then park them as *.migrated
+  function migrateLegacy() {
+    const dir = path.dirname(file);
+    let legacy = [];
+    try { legacy = fs.readdirSync(dir).filter(f => /^fetch-cache\.part\d+\.json$/i.test(f)); } catch {}
+    if (!legacy.length) return 0;
+    return lock(() => {
+      const still = legacy.filter(f => fs.existsSync(path.join(dir, f)));
+      if (!still.length) return 0; // another worker got here first
+      const merged = {};
+      for (const f of still) {
+        for (const [k, v] of Object.entries(loadCache(path.join(dir, f)))) {
+          const prev = merged[k];
+          if (!prev || String(v && v.lastFetched || '') > String(prev.lastFetched || '')) merged[k] = v;
+        }
+      }
+      scan();
+      const entries = [];
+      for (const [k, v] of Object.entries(merged)) {
+        const cur = index.has(k) ? get(k) : undefined;
+        if (!cur || String(v && v.lastFetched || '') > String(cur.lastFetched || '')) entries.push([k, v]);
+      }
+      if (entries.length) appendLocked(entries);
+      for (const f of still) {
+        try { withRetry(() => fs.renameSync(path.join(dir, f), path.join(dir, `${f}.migrated`))); } catch {}
+      }
+      if (log) log.info('cache/migrated', { files: still.length, entries: entries.length, to: path.basename(file) });
+      return entries.length;
+    });
+  }
+
+  if (opts.migrate !== false) {
+    try { migrateLegacy(); }
+    catch (e) { if (log) log.warn('cache migration failed', { err: String(e && e.message ? e.message : e) }); }
+  }
+
+  return {
+    file,
+    get, set, has, keys, values, flush, compact, migrateLegacy,
+    get size() { return keys().length; },
+  };
+}
+
+// Remove the shared log (dropCache) and any legacy parts; takes the lock so no worker is mid-append
+function dropCacheStore(file) {
+  const dir = path.dirname(file);
+  withFileLock(`${file}.lock`, () => {
+    try { fs.unlinkSync(file); } catch {}
+    try {
+      for (const f of fs.readdirSync(dir)) {
+        if (/^fetch-cache\.part\d+\.json$/i.test(f)) try { fs.unlinkSync(path.join(dir, f)); } catch {}
+      }
+    } catch {}
+  });
+}
+
+module.exports = { openCacheStore, dropCacheStore };
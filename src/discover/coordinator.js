@@ -0,0 +1,453 @@
+// src/discover/coordinator.js
+'use strict';
+
+// Coordinator mode (--coordinator): the orchestrator's telemetry HTTP server owns the frontier.
+//   POST /frontier/append    { urls: [...] }      -> { added }      (already-seen URLs are dropped)
+//                            urls are strings or { url, depth, section } entries
+//   POST /frontier/claim     { workerId }         -> { url, depth, section } | { url: null, done, stats }
+//   POST /frontier/complete  { url, workerId }    -> { ok }
+//   GET  /frontier/stats                          -> { pending, inflight, done, seen, workers }
+// Workers (local children and remote machines alike) register and heartbeat:
+//   POST /workers/register   { workerId?, name, host, pid, remote } -> { workerId, leaseMs, heartbeatMs, settings }
+//                            (workerId? is honoured for local children only; remote workers get ids from 1000)
+//   POST /workers/heartbeat  { workerId }         -> { ok }
+//   POST /workers/finish     { workerId }         -> { ok }
+//   POST /results/upload?workerId=N&kind=<UPLOAD_KINDS key>   (raw part-file body, e.g. kind=pages|edges|traps)
+// A worker silent for longer than its lease is "lost": its in-flight claims, and pages it completed
+// but never reported, go back on the queue for the others.
+// Queues are still split into buckets (hash % parts) so workers keep their preferred buckets and
+// the UI bucket grid shows exact pending URL counts instead of byte estimates. Each bucket keeps one
+// queue per click depth and claims take the shallowest URL available; with a sectionQuota, entries
+// of a section that already had that many claims are dropped.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const hashUrl = (url) => crypto.createHash('sha1').update(String(url)).digest().readUInt32BE(0);
+
+// Part files a remote worker ships back (same names the local children write into outDir)
+const UPLOAD_KINDS = {
+  pages:   (id) => `pages.part${id}.json`,
+  catalog: (id) => `site_catalog.part${id}.csv`,
+  edges:   (id) => `internal-links.part${id}.ndjson`,
+  urls:    (id) => `urls-final.part${id}.json`,
+  robots:  (id) => `robots-blocked.part${id}.json`,
+  crawled: (id) => `reconcile-crawled.part${id}.json`,
+  redirects: (id) => `redirects.part${id}.json`,
+  traps:   (id) => `crawl-traps.part${id}.json`,
+  existence: (id) => `url-existence.part${id}.csv`,
+  existenceJson: (id) => `url-existence.part${id}.json`,
+  working: (id) => `working-urls.part${id}.txt`,
+  notWorking: (id) => `not-working-urls.part${id}.txt`,
+};
+
+function createCoordinator({
+  parts = 1,
+  workers = 1,
+  outDir = 'dist',
+  settings = {},
+  token = '',
+  leaseMs = Number(process.env.MC_WORKER_LEASE_SEC || 30) * 1000,
+  log = null,
+  onBucket = null,
+  onWorker = null,
+  onUpload = null,
+  sectionQuota = 0,
+} = {}) {
+  parts = Math.max(1, parseInt(parts, 10) || 1);
+  workers = Math.max(1, parseInt(workers, 10) || 1);
+  const buckets = Array.from({ length: parts }, () => ({ lanes: new Map(), processed: 0 }));
+  const seen = new Set();        // every URL ever queued (append-time dedupe)
+  const inflight = new Map();    // url -> { workerId, r, at, entry }
+  const sectionClaims = new Map(); // section -> claims so far (quota bookkeeping)
+  let quotaSkipped = 0;
+  const roster = new Map();      // workerId -> { id, name, host, pid, remote, state, lastSeen, done:Map url->entry }
+  let nextRemoteId = 1000;
+  let done = 0;
+
+  const pendingOf = (b) => { let n = 0; for (const l of b.lanes.values()) n += l.queue.length - l.head; return n; };
+  // shallowest non-empty lane of a bucket (Infinity when the bucket is drained)
+  const minDepth = (b) => { let d = Infinity; for (const [k, l] of b.lanes) if (l.head < l.queue.length && k < d) d = k; return d; };
+  const laneOf = (b, depth) => {
+    if (!b.lanes.has(depth)) b.lanes.set(depth, { queue: [], head: 0 });
+    return b.lanes.get(depth);
+  };
+  const toEntry = (raw) => {
+    if (raw && typeof raw === 'object') {
+      return { url: String(raw.url || '').trim(), depth: Math.max(0, parseInt(raw.depth, 10) || 0), section: raw.section != null ? String(raw.section) : null };
+    }
+    return { url: String(raw || '').trim(), depth: 0, section: null };
+  };
+  const overQuota = (e) => sectionQuota > 0 && e.section != null && (sectionClaims.get(e.section) || 0) >= sectionQuota;
+  const report = (r, last) => {
+    const b = buckets[r];
+    if (onBucket) { try { onBucket(r, { pending: pendingOf(b), processed: b.processed, last }); } catch {} }
+  };
+  const notify = (type, w, extra = {}) => {
+    if (onWorker) { try { onWorker(type, { workerId: w.id, name: w.name, host: w.host, remote: w.remote, ...extra }); } catch {} }
+  };
+
+  function append(urls) {
+    let added = 0;
+    const touched = new Set();
+    for (const raw of urls || []) {
+      const e = toEntry(raw);
+      const url = e.url;
+      if (!url || seen.has(url)) continue;
+      seen.add(url);
+      const r = hashUrl(url) % parts;
+      laneOf(buckets[r], e.depth).queue.push(e);
+      touched.add(r);
+      added++;
+    }
+    for (const r of touched) report(r);
+    return added;
+  }
+
+  // front of its bucket: reassigned work goes before fresh discoveries
+  function pushFront(e) {
+    const r = hashUrl(e.url) % parts;
+    const l = laneOf(buckets[r], e.depth);
+    if (l.head > 0) l.queue[--l.head] = e; else l.queue.unshift(e);
+    report(r);
+  }
+
+  const touch = (workerId) => {
+    const w = roster.get(Number(workerId));
+    if (w) w.lastSeen = Date.now();
+    return w;
+  };
+
+  // next entry of bucket r's shallowest lane, dropping entries of sections over quota
+  function take(r) {
+    const b = buckets[r];
+    for (;;) {
+      const d = minDepth(b);
+      if (d === Infinity) return null;
+      const l = b.lanes.get(d);
+      const e = l.queue[l.head++];
+      if (l.head > 4096 && l.head * 2 > l.queue.length) { l.queue = l.queue.slice(l.head); l.head = 0; }
+      if (!overQuota(e)) return e;
+      quotaSkipped++;
+    }
+  }
+
+  // preferred buckets for worker w (1-based): w-1, w-1+W, … (shallowest first); then steal from the
+  // bucket with the shallowest work, the fullest on a tie
+  function claim(workerId = 1) {
+    touch(workerId);
+    const me = (Math.max(1, Number(workerId) || 1) - 1) % workers;
+    for (let pass = 0; pass < 2; pass++) {
+      let pick = -1, bestDepth = Infinity, best = 0;
+      for (let r = pass ? 0 : me; r < parts; r += pass ? 1 : workers) {
+        const b = buckets[r];
+        const d = minDepth(b);
+        if (d === Infinity) continue;
+        const n = pendingOf(b);
+        if (d < bestDepth || (d === bestDepth && n > best)) { pick = r; bestDepth = d; best = n; }
+      }
+      if (pick < 0) continue;
+      const e = take(pick);
+      report(pick);
+      if (!e) { pass--; continue; } // everything left there was over quota: look again
+      if (sectionQuota > 0 && e.section != null) sectionClaims.set(e.section, (sectionClaims.get(e.section) || 0) + 1);
+      inflight.set(e.url, { workerId: Number(workerId) || 1, r: pick, at: Date.now(), entry: e });
+      return e;
+    }
+    return null;
+  }
+
+  function complete(url, workerId) {
+    const f = inflight.get(url);
+    if (!f) return false;
+    inflight.delete(url);
+    done++;
+    buckets[f.r].processed++;
+    const w = touch(workerId != null ? workerId : f.workerId);
+    if (w && w.state === 'active') w.done.set(url, f.entry); // not safe until the worker's results arrive
+    report(f.r, url);
+    return true;
+  }
+
+  // put an in-flight URL back at the front of its bucket (worker gave up / went away)
+  function requeue(url) {
+    const f = inflight.get(url);
+    if (!f) return false;
+    inflight.delete(url);
+    pushFront(f.entry);
+    return true;
+  }
+
+  // ----- workers -----
+  function register({ workerId, name, host, pid, remote } = {}) {
+    let id = Number(workerId);
+    // remote workers always get a fresh id: one must not take over a local worker's part files
+    if (remote || !Number.isFinite(id) || id <= 0) id = nextRemoteId++;
+    const prev = roster.get(id);
+    const w = {
+      id, name: String(name || (remote ? 'remote' : 'local')), host: String(host || ''), pid: pid || null,
+      remote: !!remote, state: 'active', lastSeen: Date.now(), done: prev ? prev.done : new Map()
+    };
+    roster.set(id, w);
+    notify('worker/registered', w);
+    return {
+      workerId: id,
+      workerTotal: workers,
+      leaseMs,
+      heartbeatMs: Math.max(1000, Math.floor(leaseMs / 4)),
+      settings
+    };
+  }
+
+  function heartbeat(workerId) {
+    const w = touch(workerId);
+    if (!w) return { ok: false, known: false };
+    if (w.state === 'lost') { w.state = 'active'; notify('worker/revived', w); }
+    return { ok: true };
+  }
+
+  // results are in (or the worker is a local child writing straight into outDir): its pages are safe
+  function finish(workerId) {
+    const w = roster.get(Number(workerId));
+    if (!w) return false;
+    w.state = 'finished';
+    w.done.clear();
+    notify('worker/finished', w);
+    return true;
+  }
+
+  // Workers silent past their lease: hand their claims and unreported pages to everyone else
+  function reap() {
+    const now = Date.now();
+    for (const w of roster.values()) {
+      if (w.state !== 'active' || now - w.lastSeen <= leaseMs) continue;
+      w.state = 'lost';
+      let requeued = 0;
+      for (const [url, f] of Array.from(inflight.entries())) {
+        if (f.workerId === w.id && requeue(url)) requeued++;
+      }
+      for (const e of w.done.values()) { pushFront(e); requeued++; }
+      w.done.clear();
+      if (log) log.warn('[coordinator] worker lost — work reassigned', { workerId: w.id, name: w.name, requeued });
+      notify('worker/lost', w, { requeued });
+    }
+  }
+  const reaper = setInterval(reap, Math.max(500, Math.floor(leaseMs / 3)));
+  if (typeof reaper.unref === 'function') reaper.unref();
+
+  const activeRemotes = () => Array.from(roster.values()).filter(w => w.remote && w.state === 'active').length;
+
+  // finalize waits for remote workers to ship their results (or be declared lost)
+  async function waitForRemotes({ pollMs = 1000, shouldStop = null } = {}) {
+    while (activeRemotes() > 0) {
+      if (shouldStop && await shouldStop()) return false;
+      await new Promise(res => setTimeout(res, pollMs));
+    }
+    return true;
+  }
+
+  function close() { clearInterval(reaper); }
+
+  function stats() {
+    const by = { active: 0, finished: 0, lost: 0 };
+    for (const w of roster.values()) by[w.state] = (by[w.state] || 0) + 1;
+    return {
+      pending: buckets.reduce((n, b) => n + pendingOf(b), 0),
+      inflight: inflight.size,
+      done,
+      seen: seen.size,
+      workers: by,
+      ...(sectionQuota > 0 ? { sectionQuota, quotaSkipped, sections: Object.fromEntries(sectionClaims) } : {})
+    };
+  }
+
+  // the orchestrator only knows the quota once its seed-scan has counted the sections
+  function setSectionQuota(n) { sectionQuota = Math.max(0, parseInt(n, 10) || 0); }
+
+  const idle = () => { const s = stats(); return s.pending === 0 && s.inflight === 0; };
+
+  // ----- HTTP -----
+  function readJson(req) {
+    return new Promise((resolve) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', () => { try { resolve(JSON.parse(body || '{}')); } catch { resolve(null); } });
+      req.on('error', () => resolve(null));
+    });
+  }
+  const send = (res, status, obj) => {
+    res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' });
+    res.end(JSON.stringify(obj));
+  };
+
+  // raw body -> outDir/<part name>, via a temp file so a dropped connection never leaves half a part
+  function receiveUpload(req, res, q) {
+    const id = Number(q.get('workerId'));
+    const kind = String(q.get('kind') || '');
+    // only ids /workers/register handed to a remote worker (local children write into outDir themselves)
+    const w = roster.get(id);
+    const name = Object.hasOwn(UPLOAD_KINDS, kind) && w && w.remote ? UPLOAD_KINDS[kind](id) : null;
+    if (!name) { req.resume(); return send(res, 400, { error: 'bad workerId/kind' }); }
+    touch(id);
+    const file = path.join(outDir, name);
+    const tmp = `${file}.${process.pid}.upload`;
+    fs.mkdirSync(outDir, { recursive: true });
+    const ws = fs.createWriteStream(tmp);
+    let failed = false;
+    const fail = (e) => {
+      if (failed) return;
+      failed = true;
+      try { ws.destroy(); } catch {}
+      try { fs.unlinkSync(tmp); } catch {}
+      send(res, 500, { error: String(e && e.message || e) });
+    };
+    req.on('error', fail);
+    ws.on('error', fail);
+    ws.on('finish', () => {
+      if (failed) return;
+      try { fs.renameSync(tmp, file); } catch (e) { return fail(e); }
+      const bytes = (() => { try { return fs.statSync(file).size; } catch { return 0; } })();
+      if (onUpload) { try { onUpload(kind, id, file); } catch {} }
+      send(res, 200, { ok: true, file: name, bytes });
+    });
+    req.pipe(ws);
+  }
+
+  // telemetry route handler; returns true when the request was ours
+  function handle(req, res) {
+    const u = new URL(String(req.url || '/'), 'http://x');
+    const pathname = u.pathname;
+    if (!/^\/(frontier|workers|results)\//.test(pathname)) return false;
+    if (token && req.headers['x-mc-token'] !== token) { req.resume(); send(res, 401, { error: 'bad token' }); return true; }
+    if (req.method === 'GET' && pathname === '/frontier/stats') { send(res, 200, stats()); return true; }
+    if (req.method !== 'POST') { req.resume(); send(res, 405, { error: 'method not allowed' }); return true; }
+    if (pathname === '/results/upload') { receiveUpload(req, res, u.searchParams); return true; }
+    readJson(req).then((msg) => {
+      if (!msg) return send(res, 400, { error: 'bad json' });
+      switch (pathname) {
+        case '/frontier/append': {
+          touch(msg.workerId);
+          const added = append(Array.isArray(msg.urls) ? msg.urls : []);
+          return send(res, 200, { added });
+        }
+        case '/frontier/claim': {
+          const e = claim(msg.workerId);
+          if (e) return send(res, 200, { url: e.url, depth: e.depth, section: e.section });
+          return send(res, 200, { url: null, done: idle(), stats: stats() });
+        }
+        case '/frontier/complete': {
+          const ok = complete(String(msg.url || ''), msg.workerId);
+          return send(res, 200, { ok });
+        }
+        case '/workers/register':
+          return send(res, 200, register({ ...msg, host: msg.host || req.socket.remoteAddress }));
+        case '/workers/heartbeat':
+          return send(res, 200, heartbeat(msg.workerId));
+        case '/workers/finish':
+          return send(res, 200, { ok: finish(msg.workerId) });
+        default:
+          return send(res, 404, { error: 'unknown coordinator route' });
+      }
+    }).catch((e) => {
+      if (log) log.warn('[coordinator] request failed', e && e.message ? e.message : e);
+      try { send(res, 500, { error: 'internal' }); } catch {}
+    });
+    return true;
+  }
+
+  return {
+    append, claim, complete, requeue, stats, idle, handle, setSectionQuota,
+    register, heartbeat, finish, reap, waitForRemotes, activeRemotes, close,
+    inflight
+  };
+}
+
+// ---------- worker side (Node 20 global fetch) ----------
+async function callCoordinator(root, route, body, { token = '', timeoutMs = 15000 } = {}) {
+  const headers = {};
+  if (token) headers['x-mc-token'] = token;
+  if (body !== undefined) headers['content-type'] = 'application/json';
+  const r = await fetch(root + route, {
+    method: body === undefined ? 'GET' : 'POST',
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!r.ok) throw new Error(`coordinator ${route}: HTTP ${r.status}`);
+  return r.json();
+}
+
+// Thin frontier client used by crawlSite
+function connectCoordinator(baseUrl, { workerId = 1, token = process.env.MC_COORDINATOR_TOKEN || '', timeoutMs = 15000 } = {}) {
+  const root = String(baseUrl).replace(/\/+$/, '');
+  const call = (route, body) => callCoordinator(root, route, body, { token, timeoutMs });
+  return {
+    claim:    ()     => call('/frontier/claim', { workerId }),
+    complete: (url)  => call('/frontier/complete', { url, workerId }),
+    append:   async (urls) => (await call('/frontier/append', { urls, workerId })).added,
+    stats:    ()     => call('/frontier/stats'),
+  };
+}
+
+// One session per worker process: register, heartbeat in the background, ship results, finish
+let ACTIVE = null;
+async function joinCoordinator(baseUrl, { workerId, name, remote = false, token = process.env.MC_COORDINATOR_TOKEN || '', log = null } = {}) {
+  const root = String(baseUrl).replace(/\/+$/, '');
+  const call = (route, body, opts) => callCoordinator(root, route, body, { token, ...(opts || {}) });
+  const reg = await call('/workers/register', {
+    workerId, remote, name: name || os.hostname(), host: os.hostname(), pid: process.pid
+  });
+
+  const timer = setInterval(() => {
+    call('/workers/heartbeat', { workerId: reg.workerId }).catch((e) => {
+      if (log) log.warn('coordinator heartbeat failed', { err: String(e && e.message || e) });
+    });
+  }, reg.heartbeatMs || 5000);
+  if (typeof timer.unref === 'function') timer.unref();
+
+  async function upload(kind, file) {
+    if (!file || !fs.existsSync(file)) return null;
+    const headers = { 'content-type': 'application/octet-stream' };
+    if (token) headers['x-mc-token'] = token;
+    const r = await fetch(`${root}/results/upload?workerId=${reg.workerId}&kind=${encodeURIComponent(kind)}`, {
+      method: 'POST', headers, body: fs.createReadStream(file), duplex: 'half'
+    });
+    if (!r.ok) throw new Error(`upload ${kind}: HTTP ${r.status}`);
+    return r.json();
+  }
+
+  // remote workers: send every part file finalize merges (pages, catalog, edges, urls, robots hits, traps,
+  // existence results) to the orchestrator; parts this worker did not write are skipped
+  async function uploadParts(outDir, urlsOutFile) {
+    const sent = [];
+    for (const kind of Object.keys(UPLOAD_KINDS)) {
+      const file = kind === 'urls' && urlsOutFile ? urlsOutFile : path.join(outDir, UPLOAD_KINDS[kind](reg.workerId));
+      const res = await upload(kind, file);
+      if (res) sent.push(res);
+    }
+    return sent;
+  }
+
+  async function finish() {
+    clearInterval(timer);
+    try { await call('/workers/finish', { workerId: reg.workerId }); } catch {}
+    if (ACTIVE === session) ACTIVE = null;
+  }
+
+  const session = {
+    url: root,
+    workerId: reg.workerId,
+    workerTotal: reg.workerTotal,
+    settings: reg.settings || {},
+    remote,
+    upload, uploadParts, finish
+  };
+  ACTIVE = session;
+  return session;
+}
+
+const activeSession = () => ACTIVE;
+
+module.exports = { createCoordinator, connectCoordinator, joinCoordinator, activeSession, UPLOAD_KINDS };
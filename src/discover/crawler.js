@@ -25,17 +25,6 @@ function dlog(kind, payload) {
   }
 }
 
-// --- tiny retry for Windows/OneDrive EBUSY/EPERM during reads ---
-function sleepMs(ms){ const sab = new SharedArrayBuffer(4); Atomics.wait(new Int32Array(sab), 0, 0, ms); }
-function readFileWithRetry(p, enc='utf8', tries=40){
-  let last;
-  for (let i=0;i<tries;i++){
-    try { return fs.readFileSync(p, enc); }
-    catch (e){ if (e && (e.code==='EBUSY' || e.code==='EPERM')) { last=e; sleepMs(20+i*10); continue; } throw e; }
-  }
-  throw last || new Error(`Failed to read after ${tries} attempts: ${p}`);
-}
-
 // ---------- tiny helpers for quiescence + lock counts ----------
 function countLocks(dir) {
   try {
@@ -49,12 +38,14 @@ function frontierSnapshot(frontierDir, discoLocks) {
   try {
     let bytes = 0;
     let newest = 0;
-    for (const f of fs.readdirSync(frontierDir)) {
-      if (!/^bucket\.\d+\.ndjson$/i.test(f)) continue;
-      const p = path.join(frontierDir, f);
-      const st = fs.statSync(p);
-      bytes += st.size;
-      if (st.mtimeMs > newest) newest = st.mtimeMs;
+    for (const dir of laneDirs(frontierDir)) {
+      for (const f of fs.readdirSync(dir)) {
+        if (!/^bucket\.\d+(\.\d+)?\.ndjson$/i.test(f)) continue; // every segment of every depth lane
+        const p = path.join(dir, f);
+        const st = fs.statSync(p);
+        bytes += st.size;
+        if (st.mtimeMs > newest) newest = st.mtimeMs;
+      }
     }
     const locks = countLocks(discoLocks);
     return `${bytes}:${Math.floor(newest)}:${locks}`;
@@ -63,22 +54,17 @@ function frontierSnapshot(frontierDir, discoLocks) {
   }
 }
 
-// cheap “pending work” snapshot using size - offset per bucket
+// cheap “pending work” snapshot using size - offset per bucket (summed over its segments)
 function pendingBytesAll(frontierDir) {
   try {
-    const parts = [];
-    for (const f of fs.readdirSync(frontierDir)) {
-      const m = f.match(/^bucket\.(\d+)\.ndjson$/i);
-      if (!m) continue;
-      const r = Number(m[1]);
-      const file   = path.join(frontierDir, f);
-      const offset = path.join(frontierDir, `bucket.${r}.offset`);
-      const size = fs.statSync(file).size;
-      let pos = 0;
-      try { pos = parseInt(readFileWithRetry(offset, 'utf8').trim() || '0', 10) || 0; } catch {}
-      parts.push({ r, pending: Math.max(0, size - pos) });
+    const ids = new Set();
+    for (const dir of laneDirs(frontierDir)) {
+      for (const f of fs.readdirSync(dir)) {
+        const m = f.match(/^bucket\.(\d+)(?:\.\d+)?\.ndjson$/i);
+        if (m) ids.add(Number(m[1]));
+      }
     }
-    return parts;
+    return Array.from(ids).sort((a, b) => a - b).map(r => ({ r, pending: bucketPendingBytes(frontierDir, r) }));
   } catch { return []; }
 }
 
@@ -89,14 +75,23 @@ const {
   claimNext,
   appendToBuckets,
   claimNextBucket,
-  acquireBucketOwner
+  acquireBucketOwner,
+  reclaimStaleOwners,
+  requeueStaleClaims,
+  bucketPendingBytes,
+  laneDirs,
+  sectionKey
 } = require('./frontier');
+const { connectCoordinator } = require('./coordinator');
+const { createTrapDetector } = require('./traps');
+const { createScope } = require('./scope');
+const { createBlockedLog } = require('./robots');
 
 async function stopRequested() {
   const port = Number(process.env.TELEMETRY_PORT || 0);
   if (!port) return false;
   try {
-    const r = await fetch(`http://127.0.0.1:${port}/stop-state`, { cache: 'no-store' });
+    const r = await fetch(`http://${process.env.TELEMETRY_HOST || '127.0.0.1'}:${port}/stop-state`, { cache: 'no-store' });
     if (!r.ok) return false;
     const j = await r.json();
     return !!(j && j.stop);
@@ -108,6 +103,7 @@ async function stopRequested() {
  * Crawl the site and return a de-duplicated array of normalized URLs.
  *
  * Modes:
+ *  0) Coordinator frontier:             coordinatorUrl (orchestrator owns queue + seen set over HTTP)
  *  1) Bucketed frontier (preferred):    frontierDir + discoLocks + partIndex/partTotal (+ bucketParts)
  *  2) Legacy single frontier file:      frontierFile + discoLocks + partIndex/partTotal
  *  3) Fallback BFS (single-process):    no frontier args
@@ -123,6 +119,7 @@ async function crawlSite(context, base, opts) {
     maxPages       = 50000,
     keepPageParam  = false,
     strictSameHost = false,
+    linksMode      = 'full', // 'none' | 'lite' | 'full'
 
     // logging
     logger,
@@ -137,6 +134,22 @@ async function crawlSite(context, base, opts) {
     partTotal      = 1,
     bucketParts, // defaulted later to W
 
+    // coordinator frontier (orchestrator HTTP server)
+    coordinatorUrl,
+
+    // frontier priority: sections are keyed below sectionRoot (the run's prefix, not a section task's);
+    // sectionQuota > 0 caps claims per section across all workers
+    sectionRoot,
+    sectionQuota   = 0,
+
+    // include/exclude rules + maxDepth (src/discover/scope.js); defaults to just pathPrefix
+    scope,
+
+    // robots.txt rules (src/discover/robots.js loadRobots) and the log disallowed URLs go to;
+    // robotsBlocked.enforce drops them, otherwise they are only listed
+    robots,
+    robotsBlocked,
+
     // file outputs
     outDir         = 'dist',
     workerId,
@@ -161,6 +174,30 @@ async function crawlSite(context, base, opts) {
   fs.mkdirSync(outDir, { recursive: true });
   const linksPartFile = path.join(outDir, `internal-links.part${myWorkerId}.ndjson`);
 
+  // crawled-URL journal inside the frontier dir: what a --resume run recovers if this worker dies
+  const resultsJournal = frontierDir ? path.join(frontierDir, `results.w${myWorkerId}.txt`) : null;
+  const journal = (u) => { if (resultsJournal) try { fs.appendFileSync(resultsJournal, u + '\n', 'utf8'); } catch {} };
+
+  // infinite URL spaces (calendars, session ids, looping paths…) are dropped by the normalizer;
+  // what got suppressed is saved per worker and merged into crawl-traps.csv
+  const traps = createTrapDetector({ log });
+  const trapsPartFile = path.join(outDir, `crawl-traps.part${myWorkerId}.json`);
+  try { fs.unlinkSync(trapsPartFile); } catch {} // a previous run's patterns would be merged again
+
+  // robots.txt Disallow hits -> robots-blocked.part<N>.json (run.js shares its log so sitemap hits land there too)
+  const blocked = robotsBlocked || createBlockedLog();
+  const robotsPartFile = path.join(outDir, `robots-blocked.part${myWorkerId}.json`);
+  if (!robotsBlocked) try { fs.unlinkSync(robotsPartFile); } catch {}
+  const saveParts = () => { traps.save(trapsPartFile); if (robots) blocked.save(robotsPartFile); };
+
+  const sc = scope || createScope({ pathPrefix: pathPrefix === '/' ? '' : pathPrefix });
+
+  // discoveries are one click deeper than the page they were found on; past maxDepth they aren't queued
+  const secRoot = sectionRoot != null ? sectionRoot : pathPrefix;
+  const entriesFrom = (urls, depth) => (sc.maxDepth && depth > sc.maxDepth)
+    ? []
+    : urls.map(u => ({ url: u, depth, section: sectionKey(u, secRoot) }));
+
   // base/origin helpers
   const baseUrl  = new URL(base);
   const origin   = baseUrl.origin;
@@ -192,13 +229,12 @@ async function crawlSite(context, base, opts) {
     try {
       const u0 = new URL(rawUrl, baseForRel || origin);
       if (!sameSite(u0)) { dlog('reject:origin', { url: rawUrl, origin: u0.origin }); return null; }
-      const wantPrefix = String(pathPrefix || '/');
 
       // rewrite to base origin, keep path+search
       const u = new URL(u0.pathname.replace(/\/{2,}/g, '/') + u0.search, origin);
-      const pn = u.pathname.replace(/\/{2,}/g, '/').replace(/\/+$/,'') || '/';
-      if (wantPrefix !== '/' && !(pn === wantPrefix || pn.startsWith(wantPrefix + '/'))) {
-        dlog('reject:prefix', { url: u.toString(), pathname: pn, wantPrefix });
+      const why = sc.check(u); // prefix, then include/exclude rules
+      if (why) {
+        dlog('reject:' + why, { url: u.toString(), pathname: u.pathname, wantPrefix: sc.pathPrefix || '/' });
         return null;
       }
 
@@ -209,6 +245,13 @@ async function crawlSite(context, base, opts) {
 
       normalizeQuery(u);
       const out = u.toString();
+      const trap = traps.check(out);
+      if (trap) { dlog('reject:trap', { url: out, ...trap }); return null; }
+      const disallowed = robots ? robots.check(out) : null;
+      if (disallowed) {
+        blocked.record(out, disallowed, baseForRel);
+        if (blocked.enforce) { dlog('reject:robots', { url: out, ...disallowed }); return null; }
+      }
       dlog('accept', { url: out });
       return out;
     } catch {
@@ -331,6 +374,15 @@ async function crawlSite(context, base, opts) {
     return await page.evaluate(() => Array.from(new Set(window.__navs || [])));
   }
 
+  // linksMode: full = DOM + SPA click probe; lite = static DOM only; none = static DOM for discovery, no edges
+  async function collectCandidates(page) {
+    const domCandidates = await collectDomCandidates(page);
+    const spaNavs       = linksMode === 'full' ? await probeSpa(page) : [];
+    const merged        = Array.from(new Set([...domCandidates, ...spaNavs]));
+    if (merged.length && linksMode !== 'none') await emitInternalLinks(page, merged);
+    return merged;
+  }
+
   // build a map of target URL -> text/label once per page (O(N) instead of O(N²))
   async function buildHrefTextMap(page) {
     return await page.evaluate(() => {
@@ -388,6 +440,104 @@ async function crawlSite(context, base, opts) {
     }
   }
 
+  // load one claimed URL, record where it landed, return its in-scope discoveries (caller enqueues them)
+  async function visitPage(page, url, results) {
+    T.thread({ workerId: myWorkerId, phase: 'fetch', url });
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+    try { await page.waitForLoadState('networkidle', { timeout: 5000 }); } catch {}
+    const finalNorm = acceptAndNormalize(page.url(), origin);
+    if (finalNorm) {
+      if (!results.has(finalNorm)) journal(finalNorm);
+      results.add(finalNorm);
+      try {
+        const segs = new URL(finalNorm).pathname.replace(/^\/+|\/+$/g, '').split('/').filter(Boolean);
+        if (segs.length) T.tree(segs);
+      } catch {}
+    }
+
+    await installSpaRecorder(page);
+    const merged = await collectCandidates(page); // also emits internal-links edges
+
+    const discoveries = [];
+    for (const h of merged) {
+      const n = acceptAndNormalize(h, page.url());
+      if (n) discoveries.push(n);
+    }
+    saveParts();
+    return Array.from(new Set(discoveries));
+  }
+
+  // ===================== COORDINATOR FRONTIER (--coordinator) =====================
+  // The orchestrator's HTTP server owns the queue + seen set; no lock files, cursors or owner files.
+  if (coordinatorUrl) {
+    const coord = connectCoordinator(coordinatorUrl, { workerId: myWorkerId });
+    const results = new Set();
+    log.info(`Coordinator crawl (me=${myWorkerId}/${myWorkerTot}) starting…`, { coordinator: coordinatorUrl });
+    T.event({ type: 'frontier/start', coordinator: true, me: myWorkerId });
+
+    // same self-seed as the bucketed path when the orchestrator handed over an empty queue
+    try {
+      const st = await coord.stats();
+      if (st && st.pending === 0 && st.inflight === 0 && st.done === 0) {
+        const seed = new URL(String(pathPrefix || '/').replace(/^\/*/, '/'), origin).toString().replace(/\/$/, '');
+        await coord.append(entriesFrom([seed], 0));
+        log.info('Frontier was empty — self-seeded base+prefix', { seed });
+        T.event({ type: 'frontier/self-seed', url: seed });
+      }
+    } catch {}
+
+    let idleCycles = 0, errors = 0;
+    while (results.size < maxPages) {
+      if (await stopRequested()) { log.info('stop requested — worker exiting'); break; }
+
+      let claim;
+      try { claim = await coord.claim(); errors = 0; }
+      catch (e) {
+        // coordinator gone (orchestrator exiting) — give it a few tries, then stop
+        if (++errors >= 10) { log.warn('coordinator unreachable — exiting', { err: String(e && e.message || e) }); break; }
+        await new Promise(res => setTimeout(res, 500));
+        continue;
+      }
+      if (!claim || !claim.url) {
+        if (claim && claim.done) { log.info('frontier empty — exiting', { seen: results.size }); break; }
+        if (++idleCycles % 50 === 0) log.info('frontier idle', { seen: results.size, ...(claim && claim.stats || {}) });
+        T.thread({ workerId: myWorkerId, phase: 'idle' });
+        await new Promise(res => setTimeout(res, 200));
+        continue;
+      }
+      idleCycles = 0;
+
+      const url = claim.url;
+      // another section's URL: hand it straight back as done, like claimNextBucket skipping it
+      if (!acceptAndNormalize(url, origin)) { try { await coord.complete(url); } catch {} continue; }
+
+      const page = await context.newPage();
+      try {
+        const unique = await visitPage(page, url, results);
+        const next = entriesFrom(unique, (claim.depth || 0) + 1);
+        if (next.length) {
+          const added = await coord.append(next);
+          T.thread({ workerId: myWorkerId, phase: 'discover', added: unique.length });
+          log.info('discoveries', { from: url, added: unique.length, queued: added, totalSeen: results.size });
+          T.event({ type: 'frontier/discoveries', from: url, added: unique.length, totalSeen: results.size });
+        }
+      } catch (e) {
+        log.warn('X error on ' + url + ': ' + String((e && e.message) || e).split('\n')[0]);
+      } finally {
+        try { await page.close(); } catch {}
+        try { await coord.complete(url); } catch {}
+      }
+
+      const delayMs = parseInt(process.env.MC_POLITE_DELAY_MS || '0', 10) || 0;
+      if (delayMs > 0) await new Promise(res => setTimeout(res, delayMs));
+    }
+
+    saveParts();
+
+    log.info(`Crawl done. Collected ${results.size} URLs.`);
+    return Array.from(results);
+  }
+
   // ===================== BUCKETED FRONTIER (preferred) =====================
   if (frontierDir && discoLocks) {
     const B = Number(bucketParts || W);
@@ -400,7 +550,7 @@ async function crawlSite(context, base, opts) {
        const seed = new URL(String(pathPrefix || '/').replace(/^\/*/, '/'), origin)
           .toString()
           .replace(/\/$/, '');
-        appendToBuckets(frontierDir, [seed], B);
+        appendToBuckets(frontierDir, entriesFrom([seed], 0), B);
         log.info('Frontier was empty — self-seeded base+prefix', { seed });
         try { T.event({ type: 'frontier/self-seed', url: seed }); } catch {}
       }
@@ -442,7 +592,8 @@ async function crawlSite(context, base, opts) {
             discoLocks,
             r,
             B,
-            (raw) => !!acceptAndNormalize(raw, origin)
+            (raw) => !!acceptAndNormalize(raw, origin),
+            { sectionQuota }
           );
 
           if (!claim) {
@@ -454,39 +605,17 @@ async function crawlSite(context, base, opts) {
 
           localIdle = 0;
           claimedAny = true;
+          try { owner.touch(); } catch {}
 
-          const { url, release, complete } = claim;
+          const { url, depth, release, complete } = claim;
           const page = await context.newPage();
           try {
-            T.thread({ workerId: myWorkerId, phase: 'fetch', url });
-            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
-            try { await page.waitForLoadState('networkidle', { timeout: 5000 }); } catch {}
-            const finalNorm = acceptAndNormalize(page.url(), origin);
-            if (finalNorm) {
-              results.add(finalNorm);
-              try {
-                const segs = new URL(finalNorm).pathname.replace(/^\/+|\/+$/g, '').split('/').filter(Boolean);
-                if (segs.length) T.tree(segs);
-              } catch {}
-            }
-
-            await installSpaRecorder(page);
-            const domCandidates = await collectDomCandidates(page);
-            const spaNavs       = await probeSpa(page);
-            const merged        = Array.from(new Set([...domCandidates, ...spaNavs]));
-
-            // emit internal-links edges
-            if (merged.length) await emitInternalLinks(page, merged);
+            const unique = await visitPage(page, url, results);
 
-            // discoveries -> correct buckets (appendToBuckets routes by hash % B)
-            const discoveries = [];
-            for (const h of merged) {
-              const n = acceptAndNormalize(h, page.url());
-              if (n) discoveries.push(n);
-            }
-            if (discoveries.length) {
-              const unique = Array.from(new Set(discoveries));
-              appendToBuckets(frontierDir, unique, B);
+            // discoveries -> next depth lane, correct bucket (appendToBuckets routes by hash % B)
+            const next = entriesFrom(unique, (depth || 0) + 1);
+            if (next.length) {
+              appendToBuckets(frontierDir, next, B);
               T.thread({ workerId: myWorkerId, phase: 'discover', added: unique.length });
               log.info('discoveries', { from: url, added: unique.length, totalSeen: results.size });
               try {
@@ -501,12 +630,8 @@ async function crawlSite(context, base, opts) {
 
             try { complete(); } catch {}
             try {
-              // compute fresh pending for this bucket (size - new offset)
-              const file   = path.join(frontierDir, `bucket.${r}.ndjson`);
-              const offset = path.join(frontierDir, `bucket.${r}.offset`);
-              const size   = fs.existsSync(file) ? fs.statSync(file).size : 0;
-              let pos = 0; try { pos = parseInt(readFileWithRetry(offset, 'utf8').trim() || '0', 10) || 0; } catch {}
-              T.progress(r, { processed: 1, pending: Math.max(0, size - pos), last: url });
+              // compute fresh pending for this bucket (size - offset over every segment)
+              T.progress(r, { processed: 1, pending: bucketPendingBytes(frontierDir, r), last: url });
             } catch {}
 
           } catch (e) {
@@ -562,6 +687,12 @@ async function crawlSite(context, base, opts) {
       lastSnap = snap;
       try { T.thread({ workerId: myWorkerId, phase: 'idle' }); } catch {}
 
+      // locks/owners left by a killed worker would keep locksNow > 0 forever: reclaim + requeue
+      if (idleCycles % 25 === 0) {
+        requeueStaleClaims(frontierDir, discoLocks, B, { log });
+        reclaimStaleOwners(frontierDir);
+      }
+
       const pendParts = pendingBytesAll(frontierDir);
       const totalPend = pendParts.reduce((s,x)=>s+x.pending,0);
       const locksNow  = countLocks(discoLocks);
@@ -595,6 +726,8 @@ async function crawlSite(context, base, opts) {
       await new Promise(res => setTimeout(res, 200));
     }
 
+    saveParts();
+
     log.info(`Crawl done. Collected ${results.size} URLs.`);
     return Array.from(results);
   }
@@ -645,11 +778,7 @@ async function crawlSite(context, base, opts) {
         }
 
         await installSpaRecorder(page);
-        const domCandidates = await collectDomCandidates(page);
-        const spaNavs       = await probeSpa(page);
-        const merged        = Array.from(new Set([...domCandidates, ...spaNavs]));
-
-        if (merged.length) await emitInternalLinks(page, merged);
+        const merged = await collectCandidates(page);
 
         const discoveries = [];
         for (const h of merged) {
@@ -674,6 +803,8 @@ async function crawlSite(context, base, opts) {
       }
     }
 
+    saveParts();
+
     log.info(`Crawl done. Collected ${results.size} URLs.`);
     return Array.from(results);
   }
@@ -686,6 +817,7 @@ async function crawlSite(context, base, opts) {
   const queue    = starts.slice();
   const seen     = new Set();
   const enqueued = new Set();
+  const depthOf  = new Map(starts.map(u => [u, 0])); // click depth, for scope maxDepth
   const urls     = [];
   let visited    = 0;
 
@@ -717,18 +849,17 @@ async function crawlSite(context, base, opts) {
       }
 
       // collect & normalize candidates
-      const domCandidates = await collectDomCandidates(page);
-      const spaNavs       = await probeSpa(page);
-      const merged        = Array.from(new Set([...domCandidates, ...spaNavs]));
-
-      if (merged.length) await emitInternalLinks(page, merged);
+      const merged = await collectCandidates(page);
 
+      const depth = (depthOf.get(next) || 0) + 1;
       for (const h of merged) {
+        if (sc.maxDepth && depth > sc.maxDepth) break;
         const n = acceptAndNormalize(h, page.url());
         if (!n) continue;
         if (!seen.has(n) && !enqueued.has(n) && (urls.length + queue.length) < maxPages) {
           queue.push(n);
           enqueued.add(n);
+          depthOf.set(n, depth);
         }
       }
 
@@ -742,12 +873,11 @@ async function crawlSite(context, base, opts) {
     }
   }
 
+  saveParts();
+
   log.info(`Crawl done. Collected ${urls.length} URLs.`);
   const uniq = Array.from(new Set(urls));
-  const out  = uniq.filter(u => {
-    try { const uu = new URL(u); return !pathPrefix || uu.pathname.startsWith(pathPrefix); }
-    catch { return false; }
- });
+  const out  = uniq.filter(u => sc.allows(u));
   try { console.log('[crawler] totals', { preDedup: urls.length, deduped: uniq.length, postScope: out.length, prefix: pathPrefix || '' }); } catch {}
   return out;
 }
@@ -8,6 +8,8 @@ const crypto = require('crypto');
 const http = require('http');
 const os   = require('os');
 const { exec } = require('child_process');
+const { acquireLock, touchLock, releaseLock, reclaimStaleLocks, sleepMs, withRetry } = require('../utils/locks');
+const { seenSetFor } = require('./seen-set');
 
 
 
@@ -25,63 +27,11 @@ function sha1(s){ return crypto.createHash('sha1').update(String(s)).digest('hex
 function u32(s){ const b = Buffer.isBuffer(s) ? s : Buffer.from(s); return b.readUInt32BE(0); }
 function hashUrl(url){ return u32(crypto.createHash('sha1').update(url).digest()); }
 
-// -------- Windows/OneDrive hardening (retry on EBUSY/EPERM) --------
-function sleepMs(ms){ const sab = new SharedArrayBuffer(4); Atomics.wait(new Int32Array(sab), 0, 0, ms); }
-
-function readFileWithRetry(p, encOrOpts = null, tries = 40) {
-  let last;
-  for (let i = 0; i < tries; i++) {
-    try { return fs.readFileSync(p, encOrOpts); }
-    catch (e) {
-      if (e && (e.code === 'EBUSY' || e.code === 'EPERM')) { last = e; sleepMs(20 + i * 10); continue; }
-      throw e;
-    }
-  }
-  throw last || new Error(`Failed to read after ${tries} attempts: ${p}`);
-}
-function appendFileWithRetry(p, data, tries = 40) {
-  let last;
-  for (let i = 0; i < tries; i++) {
-    try { fs.appendFileSync(p, data, 'utf8'); return; }
-    catch (e) {
-      if (e && (e.code === 'EBUSY' || e.code === 'EPERM')) { last = e; sleepMs(20 + i * 10); continue; }
-      throw e;
-    }
-  }
-  throw last || new Error(`Failed to append after ${tries} attempts: ${p}`);
-}
-function writeFileWithRetry(p, data, enc = 'utf8', tries = 40) {
-  let last;
-  for (let i = 0; i < tries; i++) {
-    try { fs.writeFileSync(p, data, enc); return; }
-    catch (e) {
-      if (e && (e.code === 'EBUSY' || e.code === 'EPERM')) { last = e; sleepMs(20 + i * 10); continue; }
-      throw e;
-    }
-  }
-  throw last || new Error(`Failed to write after ${tries} attempts: ${p}`);
-}
-function renameWithRetry(from, to, tries = 40) {
-  let last;
-  for (let i = 0; i < tries; i++) {
-    try { fs.renameSync(from, to); return; }
-    catch (e) {
-      if (e && (e.code === 'EBUSY' || e.code === 'EPERM')) { last = e; sleepMs(20 + i * 10); continue; }
-      throw e;
-    }
-  }
-  throw last || new Error(`Failed to rename after ${tries} attempts: ${from} -> ${to}`);
-}
-
-// Small sleep primitive (used for lock retry)
-function sleepMs(ms){
-  try {
-    const sab = new SharedArrayBuffer(4);
-    Atomics.wait(new Int32Array(sab), 0, 0, Math.max(0, ms|0));
-  } catch {
-    const start = Date.now(); while (Date.now() - start < ms) {}
-  }
-}
+// -------- Windows/OneDrive hardening (retry on EBUSY/EPERM, utils/locks withRetry) --------
+const readFileWithRetry = (p, encOrOpts = null, tries = 40) => withRetry(() => fs.readFileSync(p, encOrOpts), tries);
+const appendFileWithRetry = (p, data, tries = 40) => withRetry(() => fs.appendFileSync(p, data, 'utf8'), tries);
+const writeFileWithRetry = (p, data, enc = 'utf8', tries = 40) => withRetry(() => fs.writeFileSync(p, data, enc), tries);
+const renameWithRetry = (from, to, tries = 40) => withRetry(() => fs.renameSync(from, to), tries);
 
 // ---------- Legacy (single-file) helpers kept for backward compat ----------
 function seedFrontier(file, urls) {
@@ -98,61 +48,52 @@ function* readFrontier(file) {
   for (const line of lines) { const u = line.trim(); if (u) yield u; }
 }
 
-function tryClaim(locksDir, url) {
+// entry: the frontier entry being claimed; its depth/section go into the lock so a reclaimed lock
+// is requeued where it was (see requeueStaleClaims)
+function tryClaim(locksDir, url, entry = null) {
   fs.mkdirSync(locksDir, { recursive: true });
   const id = sha1(url);
   const lockPath = path.join(locksDir, `${id}.lock`);
-  const donePath = path.join(locksDir, `${id}.done`);
-  if (fs.existsSync(donePath)) return null; // already processed
-  // Robust exclusive create with retries (Windows/OneDrive/AV can return EBUSY/EPERM transiently)
-  let fd = -1;
+  const seen = seenSetFor(path.join(locksDir, 'seen'));
+  if (seen.has(url)) return null; // already processed
+  if (fs.existsSync(path.join(locksDir, `${id}.done`))) return null; // marker from an older run (--resume)
+  // Exclusive create with retries (Windows/OneDrive/AV can return EBUSY/EPERM transiently);
+  // a live holder means "someone else owns it", a dead/expired one is reclaimed by the lock manager
   const MAX_TRIES = parseInt(process.env.MC_LOCK_TRIES || '60', 10); // ~6s worst-case
   const SLEEP_MS  = parseInt(process.env.MC_LOCK_SLEEP || '100', 10);
-  for (let i = 0; i < MAX_TRIES; i++) {
-    try {
-      fd = fs.openSync(lockPath, 'wx'); // exclusive create
-      break; // success
-    } catch (e) {
-      // If another worker already claimed (lock file exists), treat as "someone else owns it"
-     if (e && (e.code === 'EEXIST')) return null;
-      // Transient Windows/OneDrive/AV conditions — retry
-      if (e && (e.code === 'EBUSY' || e.code === 'EPERM' || e.code === 'EACCES' || e.code === 'EPROTO')) {
-        sleepMs(SLEEP_MS);
-        continue;
-      }
-      // Unknown hard error — give up on this URL (behave like already claimed)
-      return null;
-    }
-  }
+  const payload = entry ? { url, depth: entry.depth || 0, section: entry.section != null ? entry.section : null } : { url };
+  const fd = acquireLock(lockPath, payload, { tries: MAX_TRIES, sleep: SLEEP_MS, kind: 'disco' });
   if (fd < 0) {
-   // Still couldn't create after retries — skip this URL
+   // Held by a live worker, or still couldn't create after retries — skip this URL
     return null;
   }
-  try {
-    fs.writeFileSync(
-      fd,
-      JSON.stringify({ url, at: new Date().toISOString(), pid: process.pid }) + '\n'
-    );
-    const complete = () => {
-      try { fs.closeSync(fd); renameWithRetry(lockPath, donePath); } catch {}
-   };
-    // Opportunistic GC of old .done files (best-effort)
-      try {
-        const dir = path.dirname(lockPath);
-        const files = fs.readdirSync(dir).filter(f => f.endsWith('.done'));
-        const maxDone = parseInt(process.env.MC_MAX_DONE || '5000', 10);
-        if (files.length > maxDone) {
-          const victims = files.slice(0, files.length - maxDone);
-          for (const v of victims) try { fs.unlinkSync(path.join(dir, v)); } catch {}
-        }
-      } catch {}
+  // another worker may have finished it between our check and the lock (it marks seen before unlocking)
+  if (seen.has(url)) { releaseLock(fd, lockPath); return null; }
+
+  // seen first, then unlock: nobody can take the lock and miss the mark
+  const complete = () => {
+    try { seen.add(url); } catch {}
+    releaseLock(fd, lockPath);
+  };
+  const release  = () => releaseLock(fd, lockPath);
+  return { lockPath, complete, release };
+}
 
-    const release  = () => { try { fs.closeSync(fd); fs.unlinkSync(lockPath); } catch {} };
-    return { lockPath, donePath, complete, release };
-   } catch {
-    try { if (fd >= 0) { fs.closeSync(fd); fs.unlinkSync(lockPath); } } catch {}
-    return null; // treat as unclaimable this pass
+// Disco locks left by dead workers: reclaim them and put their URLs back on the frontier with the
+// depth/section they were claimed at. Returns the requeued entries.
+function requeueStaleClaims(frontierDir, locksDir, parts, { log = null } = {}) {
+  const byUrl = new Map();
+  for (const rec of reclaimStaleLocks(locksDir, { kind: 'disco', log })) {
+    if (rec.url && !byUrl.has(rec.url)) byUrl.set(rec.url, { url: rec.url, depth: rec.depth || 0, section: rec.section });
   }
+  const entries = Array.from(byUrl.values());
+  if (entries.length) appendToBuckets(frontierDir, entries, parts);
+  return entries;
+}
+
+// Per-bucket owner files left behind in frontier/assign by dead workers (--resume, idle sweeps)
+function reclaimStaleOwners(frontierDir) {
+  return reclaimStaleLocks(path.join(frontierDir, 'assign'), { ext: '.owner', kind: 'owner' }).length;
 }
 
 // Legacy claim (modulo on claim) — still exported for compat
@@ -167,6 +108,65 @@ function claimNext(frontierFile, locksDir, partIndex, partTotal, acceptFn) {
 }
 
 // ---------- Bucketed frontier (fast path) ----------
+// Entries carry click depth and top-level section: {"u":url,"d":depth,"s":section} per line
+// (a bare URL line is still read as a depth-0 entry with no section). Each depth has its own
+// lane — frontierDir itself for depth 0, frontierDir/depth.N/ below it — holding the usual
+// bucket files, segments and cursors, and claims drain the shallowest lane of a bucket first.
+// Depths past MAX_LANE share the last lane (long pagination chains would otherwise make one
+// directory per page).
+const MAX_LANE = 16;
+
+function laneDir(frontierDir, depth){
+  const d = Math.min(MAX_LANE, Math.max(0, parseInt(depth, 10) || 0));
+  return d > 0 ? path.join(frontierDir, `depth.${d}`) : frontierDir;
+}
+
+// Lane directories present on disk, shallowest first
+function laneDirs(frontierDir){
+  const depths = [];
+  try {
+    for (const f of fs.readdirSync(frontierDir)) {
+      const m = f.match(/^depth\.(\d+)$/);
+      if (m) depths.push(Number(m[1]));
+    }
+  } catch {}
+  return [frontierDir, ...depths.sort((a, b) => a - b).map(d => laneDir(frontierDir, d))];
+}
+
+function parseEntry(line){
+  if (line[0] !== '{') return { url: line, depth: 0, section: null };
+  try {
+    const j = JSON.parse(line);
+    if (!j || !j.u) return null;
+    return { url: String(j.u), depth: parseInt(j.d, 10) || 0, section: j.s != null ? String(j.s) : null };
+  } catch { return null; }
+}
+
+/**
+ * Top-level section of a URL below rootPrefix ('' for pages directly under it), the same key the
+ * orchestrator's seed-scan groups sections by. null when the URL doesn't parse.
+ */
+function sectionKey(url, rootPrefix = '/'){
+  try {
+    const pn = new URL(url).pathname;
+    const root = String(rootPrefix || '/').replace(/\/+$/, '');
+    const rest = root && pn.startsWith(root) ? pn.slice(root.length) : pn;
+    return rest.split('/').filter(Boolean)[0] || '';
+  } catch { return null; }
+}
+
+// ----- Per-section quotas: one byte appended per claim, so the count is just the file size -----
+function quotaFile(locksDir, section){
+  return path.join(locksDir, 'quota', `${encodeURIComponent(section) || '_root'}.count`);
+}
+function sectionClaims(locksDir, section){
+  try { return fs.statSync(quotaFile(locksDir, section)).size; } catch { return 0; }
+}
+function countSectionClaim(locksDir, section){
+  const p = quotaFile(locksDir, section);
+  try { fs.mkdirSync(path.dirname(p), { recursive: true }); appendFileWithRetry(p, '.'); } catch {}
+}
+
 function bucketFiles(frontierDir, r){
   fs.mkdirSync(frontierDir, { recursive: true });
   return {
@@ -175,14 +175,43 @@ function bucketFiles(frontierDir, r){
   };
 }
 
-// Bytes left in a single bucket (non-negative)
+/**
+ * Segments of bucket r in consumption order. bucket.r.ndjson is segment 0 (and never removed);
+ * once the newest segment passes MC_BUCKET_MAX_BYTES, appends move on to bucket.r.1.ndjson,
+ * bucket.r.2.ndjson, … Each segment has its own cursor (bucket.r.offset / bucket.r.K.offset), so
+ * nothing is renamed underneath a reader and no queued URL is skipped.
+ */
+function bucketSegments(frontierDir, r){
+  const base = bucketFiles(frontierDir, r);
+  const segs = [{ seq: 0, file: base.file, offset: base.offset }];
+  const re = new RegExp(`^bucket\\.${r}\\.(\\d+)\\.ndjson$`, 'i');
+  let names = [];
+  try { names = fs.readdirSync(frontierDir); } catch {}
+  for (const f of names) {
+    const m = f.match(re);
+    if (!m) continue;
+    const seq = Number(m[1]);
+    if (seq > 0) segs.push({ seq, file: path.join(frontierDir, f), offset: path.join(frontierDir, `bucket.${r}.${seq}.offset`) });
+  }
+  return segs.sort((a, b) => a.seq - b.seq);
+}
+
+function readCursor(offset){
+  try { return parseInt(readFileWithRetry(offset, 'utf8').trim() || '0', 10) || 0; } catch { return 0; }
+}
+
+// Bytes left in a single bucket across all its lanes and segments (non-negative)
 function bucketPendingBytes(frontierDir, r){
-  const { file, offset } = bucketFiles(frontierDir, r);
-  try {
-    const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
-    const pos  = fs.existsSync(offset) ? parseInt(readFileWithRetry(offset, 'utf8').trim() || '0', 10) || 0 : 0;
-    return Math.max(0, size - pos);
-  } catch { return 0; }
+  let total = 0;
+  for (const dir of laneDirs(frontierDir)) {
+    for (const seg of bucketSegments(dir, r)) {
+      try {
+        const size = fs.existsSync(seg.file) ? fs.statSync(seg.file).size : 0;
+        total += Math.max(0, size - readCursor(seg.offset));
+      } catch {}
+    }
+  }
+  return total;
 }
 
 // Snapshot of all buckets' pending bytes
@@ -200,21 +229,17 @@ function acquireBucketOwner(frontierDir, r, ownerTag = '') {
   const assignDir = path.join(frontierDir, 'assign');
   fs.mkdirSync(assignDir, { recursive: true });
   const ownerPath = path.join(assignDir, `bucket.${r}.owner`);
-  try {
-    const fd = fs.openSync(ownerPath, 'wx'); // exclusive
-    fs.writeFileSync(
-      fd,
-      JSON.stringify({ r, owner: ownerTag, pid: process.pid, at: new Date().toISOString() }) + '\n'
-    );
-    tEmit('bucketOwner', { bucket: r, owner: ownerTag, phase: 'acquired' });
-    const release = () => {
-      try { fs.closeSync(fd); fs.unlinkSync(ownerPath); } catch {}
-      tEmit('bucketOwner', { bucket: r, owner: ownerTag, phase: 'released' });
-    };
-    return { release };
-  } catch {
-    return null; // someone else owns it right now
-  }
+  // exclusive; an owner file left by a dead worker is reclaimed by the lock manager
+  const fd = acquireLock(ownerPath, { r, owner: ownerTag }, { kind: 'owner' });
+  if (fd < 0) return null; // someone else owns it right now
+  tEmit('bucketOwner', { bucket: r, owner: ownerTag, phase: 'acquired' });
+  const release = () => {
+    releaseLock(fd, ownerPath);
+    tEmit('bucketOwner', { bucket: r, owner: ownerTag, phase: 'released' });
+  };
+  // draining a bucket can outlast the lock TTL; the owner loop calls this per claim
+  const touch = () => touchLock(ownerPath);
+  return { release, touch };
 }
 
 function seedBuckets(frontierDir, urls, parts){
@@ -230,43 +255,91 @@ function seedBuckets(frontierDir, urls, parts){
   appendToBuckets(frontierDir, urls, parts);
 }
 
-function appendToBuckets(frontierDir, urls, parts){
+/**
+ * Queue URLs. Items are plain URL strings (taking opts.depth and opts.sectionOf(url)) or
+ * { url, depth, section } entries; each lands in its depth lane, bucket hash % parts.
+ */
+function appendToBuckets(frontierDir, urls, parts, { depth = 0, sectionOf = null } = {}){
   if (!urls?.length) return;
   parts = Math.max(1, (parseInt(parts, 10) || 0));
-  const perBucket = new Map();
+  const perBucket = new Map(); // "lane:r" -> { dir, r, lines }
   for (const raw of urls){
     if (!raw) continue;
-    const r = hashUrl(raw) % parts;
-    if (!perBucket.has(r)) perBucket.set(r, []);
-    perBucket.get(r).push(raw);
+    const e = typeof raw === 'string'
+      ? { url: raw, depth, section: sectionOf ? sectionOf(raw) : null }
+      : { url: raw.url, depth: raw.depth || 0, section: raw.section != null ? raw.section : null };
+    if (!e.url) continue;
+    const r = hashUrl(e.url) % parts;
+    const dir = laneDir(frontierDir, e.depth);
+    const key = `${dir}:${r}`;
+    if (!perBucket.has(key)) perBucket.set(key, { dir, r, lines: [] });
+    perBucket.get(key).lines.push(!e.depth && e.section == null ? e.url : JSON.stringify({ u: e.url, d: e.depth, s: e.section }));
   }
-  for (const [r, list] of perBucket){
-    const { file } = bucketFiles(frontierDir, r);
+  const max = parseInt(process.env.MC_BUCKET_MAX_BYTES || '134217728', 10); // 128MB
+  for (const { dir, r, lines } of perBucket.values()){
+    // append to the newest segment; start the next one when it is full (exclusive create: one worker wins)
+    const segs = bucketSegments(dir, r);
+    let file = segs[segs.length - 1].file;
     try {
       const st = fs.existsSync(file) ? fs.statSync(file) : null;
-      const max = parseInt(process.env.MC_BUCKET_MAX_BYTES || '134217728', 10); // 128MB
-    if (st && st.size > max) {
-        const rotated = file.replace(/\.ndjson$/, `.${Date.now()}.ndjson`);
-        renameWithRetry(file, rotated);
-        writeFileWithRetry(file, '', 'utf8');
+      if (st && st.size > max) {
+        const seq = segs[segs.length - 1].seq + 1;
+        file = path.join(dir, `bucket.${r}.${seq}.ndjson`);
+        try { fs.closeSync(fs.openSync(file, 'wx')); tEmit('bucketRotate', { bucket: r, segment: seq }); } catch {}
       }
     } catch {}
-    appendFileWithRetry(file, list.map(u => u + '\n').join(''));
-    tEmit('bucketAppend', { bucket: r, count: list.length });
+    appendFileWithRetry(file, lines.map(l => l + '\n').join(''));
+    tEmit('bucketAppend', { bucket: r, count: lines.length });
   }
 }
 
 /**
- * Claim next URL for bucket r by reading ONLY new bytes in bucket.r since last cursor.
- * Returns { url, complete(), release() } or null if no new work right now.
+ * Claim next URL for bucket r, shallowest lane first, by reading ONLY new bytes since the last
+ * cursor, oldest segment first. Fully consumed older segments are compacted away (file + cursor
+ * removed) once they have been quiet for MC_SEGMENT_GRACE_MS, so a writer that picked the segment
+ * just before the next one was started still gets its lines read.
+ * opts.sectionQuota caps claims per section across all workers; entries over it are skipped.
+ * Returns { url, depth, section, complete(), release() } or null if no new work right now.
  */
-function claimNextBucket(frontierDir, locksDir, r, parts, acceptFn){
-  const { file, offset } = bucketFiles(frontierDir, r);
+function claimNextBucket(frontierDir, locksDir, r, parts, acceptFn, opts = {}){
+  for (const dir of laneDirs(frontierDir)) {
+    const got = claimFromLane(dir, locksDir, r, acceptFn, opts);
+    if (got) return got;
+  }
+  return null;
+}
+
+function claimFromLane(dir, locksDir, r, acceptFn, opts){
+  const segs = bucketSegments(dir, r);
+  const grace = parseInt(process.env.MC_SEGMENT_GRACE_MS || '10000', 10);
+  for (let i = 0; i < segs.length; i++){
+    const seg = segs[i];
+    const got = claimFromSegment(seg, locksDir, r, acceptFn, opts);
+    if (got) return got;
+    const newer = i < segs.length - 1;
+    if (newer && seg.seq > 0) {
+      try {
+        const st = fs.statSync(seg.file);
+        if (readCursor(seg.offset) >= st.size && Date.now() - st.mtimeMs > grace) {
+          fs.unlinkSync(seg.file);
+          try { fs.unlinkSync(seg.offset); } catch {}
+          tEmit('bucketCompact', { bucket: r, segment: seg.seq, bytes: st.size });
+        }
+      } catch {}
+    }
+  }
+  return null;
+}
+
+function claimFromSegment(seg, locksDir, r, acceptFn, { sectionQuota = 0 } = {}){
+  const { file, offset } = seg;
   fs.mkdirSync(path.dirname(file), { recursive: true });
-  if (!fs.existsSync(file)) writeFileWithRetry(file, '', 'utf8');
+  if (!fs.existsSync(file)) {
+    if (seg.seq > 0) return null; // compacted by another worker
+    writeFileWithRetry(file, '', 'utf8');
+  }
 
-  let pos = 0;
-  try { pos = parseInt(readFileWithRetry(offset, 'utf8').trim() || '0', 10) || 0; } catch {}
+  let pos = readCursor(offset);
 
   // Read raw and normalize (strip BOM, normalize CRLF)
   let buf = readFileWithRetry(file);
@@ -274,7 +347,7 @@ function claimNextBucket(frontierDir, locksDir, r, parts, acceptFn){
   if (buf.length >= 3 && buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) {
     buf = Buffer.from(buf.slice(3));
   }
-    // Defensive: if offset is beyond EOF (truncate/rotate), clamp it
+    // Defensive: if offset is beyond EOF (truncate), clamp it
     if (pos > buf.length) {
       try { writeFileWithRetry(offset, String(buf.length), 'utf8'); } catch {}
       pos = buf.length;
@@ -284,37 +357,50 @@ function claimNextBucket(frontierDir, locksDir, r, parts, acceptFn){
     return null; // nothing new
   }
 
-  // Normalize CRLF → LF before slicing to lines
-  const tail = buf.toString('utf8', pos).replace(/\r\n/g, '\n');
+  // Split on LF only (a CR stays on its line and is trimmed) so cursor math matches the bytes on disk
+  const tail = buf.toString('utf8', pos);
   const lines = tail.split('\n');
   let advanced = 0;
-  let claimed = false;
+  let overQuota = 0;
 
   for (let i=0; i<lines.length; i++){
     const line = lines[i];
-    const withNl = i < lines.length - 1 ? line + '\n' : line; // last item may not end with NL
-    const inc = Buffer.byteLength(withNl, 'utf8');
-    const url = (line || '').trim();
+    // an unterminated last line is an append still in flight: leave it for the next read
+    if (i === lines.length - 1) break;
+    const inc = Buffer.byteLength(line + '\n', 'utf8');
+    const text = (line || '').trim();
     advanced += inc;
 
-    if (!url) continue;
+    if (!text) continue;
+    const entry = parseEntry(text);
+    if (!entry) continue;
+    const url = entry.url;
     if (acceptFn && !acceptFn(url)) continue;
+    // section already had its share: drop the entry (another worker may have pushed it over)
+    if (sectionQuota > 0 && entry.section != null && sectionClaims(locksDir, entry.section) >= sectionQuota) {
+      overQuota++;
+      continue;
+    }
 
-    const claim = tryClaim(locksDir, url);
+    const claim = tryClaim(locksDir, url, entry);
     if (claim) {
+      if (sectionQuota > 0 && entry.section != null) countSectionClaim(locksDir, entry.section);
+      if (overQuota) tEmit('event', { type: 'frontier/quota-skip', bucket: r, skipped: overQuota });
       // advance cursor THROUGH the claimed line
       const newPos = pos + advanced;
       try { writeFileWithRetry(offset, String(newPos), 'utf8'); } catch {}
       tEmit('bucketProgress', { bucket: r, cursor: newPos, size: buf.length, claimed: true });
       const delayMs = parseInt(process.env.MC_POLITE_DELAY_MS || '0', 10) || 0;
       if (delayMs > 0) { try { sleepMs(delayMs); } catch {} }
-      return { url, ...claim };
+      return { url, depth: entry.depth, section: entry.section, ...claim };
     }
   }
+  if (overQuota) tEmit('event', { type: 'frontier/quota-skip', bucket: r, skipped: overQuota });
 
-  // consumed all new lines, advance cursor to EOF
-  try { writeFileWithRetry(offset, String(buf.length), 'utf8'); } catch {}
-  tEmit('bucketProgress', { bucket: r, cursor: buf.length, size: buf.length });
+  // consumed all complete new lines, advance cursor past them
+  const end = pos + advanced;
+  if (advanced > 0) { try { writeFileWithRetry(offset, String(end), 'utf8'); } catch {} }
+  tEmit('bucketProgress', { bucket: r, cursor: end, size: buf.length });
   return null;
 }
 
@@ -322,9 +408,9 @@ function claimNextBucket(frontierDir, locksDir, r, parts, acceptFn){
  * Try current bucket first, then steal from other buckets that have the most pending bytes.
  * startR is the worker's "home" bucket index. Returns same shape as claimNextBucket().
  */
-function claimNextAnyBucket(frontierDir, locksDir, startR, parts, acceptFn){
+function claimNextAnyBucket(frontierDir, locksDir, startR, parts, acceptFn, opts = {}){
   // 1) Try home bucket
-  const first = claimNextBucket(frontierDir, locksDir, startR, parts, acceptFn);
+  const first = claimNextBucket(frontierDir, locksDir, startR, parts, acceptFn, opts);
   if (first) return first;
 
   // 2) Build a sorted donor list by pending bytes (desc), excluding startR
@@ -333,7 +419,7 @@ function claimNextAnyBucket(frontierDir, locksDir, startR, parts, acceptFn){
     .sort((a,b) => b.pending - a.pending);
 
   for (const { r } of pend) {
-    const got = claimNextBucket(frontierDir, locksDir, r, parts, acceptFn);
+    const got = claimNextBucket(frontierDir, locksDir, r, parts, acceptFn, opts);
     if (got) {
       tEmit('bucketOwner', { bucket: r, owner: `steal->${startR}` });
       return got;
@@ -356,8 +442,16 @@ module.exports = {
   claimNextBucket,
   claimNextAnyBucket,
   acquireBucketOwner,
+  sectionKey,
+  sectionClaims,
+
+  // stale locks
+  reclaimStaleOwners,
+  requeueStaleClaims,
 
   // stats
+  bucketSegments,
+  laneDirs,
   bucketPendingBytes,
   allBucketPending,
 };
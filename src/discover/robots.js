@@ -0,0 +1,198 @@
+// src/discover/robots.js
+'use strict';
+
+// robots.txt for the site being checked (--robots report|obey|off, default report):
+//   Sitemap:      every line is added to the sitemap seeds (sitemap.js)
+//   Crawl-delay:  raises MC_POLITE_DELAY_MS for the crawler/frontier (never lowers it)
+//   Disallow/Allow for our agent (MC_USER_AGENT's product token, else meta-check-bot; falls back to
+//   the * group): "obey" drops disallowed URLs in the frontier accept function, "report" only lists
+//   them. Either way they are saved per worker to robots-blocked.part<N>.json and merged into
+//   robots-blocked.csv.
+// Matching follows RFC 9309: * wildcards, $ anchors, the longest matching rule wins, Allow wins ties.
+// A missing robots.txt (4xx) or one we can't fetch allows everything.
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+const MAX_BLOCKED_ROWS = 100000; // per worker; a report-only run on a heavily disallowed site stays bounded
+
+const agentToken = () => String(process.env.MC_USER_AGENT || 'meta-check-bot/1.0').split(/[\/\s]/)[0].toLowerCase();
+
+function fetchRobotsTxt(url, timeoutMs = 10000, hops = 0) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const mod = u.protocol === 'https:' ? https : http;
+    const req = mod.request(
+      {
+        protocol: u.protocol,
+        hostname: u.hostname,
+        port: u.port || (u.protocol === 'https:' ? 443 : 80),
+        path: u.pathname + (u.search || ''),
+        method: 'GET',
+        headers: { 'user-agent': process.env.MC_USER_AGENT || 'meta-check-bot/1.0 (+https://github.com/)' },
+      },
+      res => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && hops < 5) {
+          res.resume();
+          fetchRobotsTxt(new URL(res.headers.location, url).toString(), timeoutMs, hops + 1).then(resolve, reject);
+          return;
+        }
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { if (data.length < 512 * 1024) data += chunk; }); // RFC 9309: parse at least 500 KiB
+        res.on('end', () => resolve({ status: res.statusCode, text: data }));
+      }
+    );
+    req.setTimeout(timeoutMs, () => req.destroy(new Error('timeout')));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// -> { groups: [{ agents, rules: [{ allow, pattern, line }], crawlDelay }], sitemaps }
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let cur = null;
+  let lastWasAgent = false;
+  String(text || '').split(/\r\n|\r|\n/).forEach((raw, i) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) return;
+    const key = m[1].toLowerCase();
+    const val = m[2].trim();
+    if (key === 'sitemap') { if (val) sitemaps.push(val); return; }
+    if (key === 'user-agent') {
+      // consecutive User-agent lines share one group
+      if (!lastWasAgent) { cur = { agents: [], rules: [], crawlDelay: null }; groups.push(cur); }
+      cur.agents.push(val.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+    if (!cur) return; // rules before any User-agent line
+    if (key === 'allow' || key === 'disallow') {
+      if (val) cur.rules.push({ allow: key === 'allow', pattern: val, line: i + 1 });
+    } else if (key === 'crawl-delay') {
+      const n = parseFloat(val);
+      if (Number.isFinite(n) && n >= 0) cur.crawlDelay = n;
+    }
+  });
+  return { groups, sitemaps: Array.from(new Set(sitemaps)) };
+}
+
+function ruleRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+/**
+ * Rules for one agent from robots.txt text.
+ * check(url) -> null when allowed, else { rule: 'Disallow: /x', line }.
+ */
+function createRobots(text, { agent = agentToken() } = {}) {
+  const { groups, sitemaps } = parseRobots(text);
+  // RFC 9309: a group applies when its token equals our product token (case-insensitive, version dropped)
+  const product = (t) => String(t).split(/[\/\s]/)[0].toLowerCase();
+  const me = product(agent);
+  let mine = groups.filter(g => g.agents.some(a => a !== '*' && product(a) === me));
+  if (!mine.length) mine = groups.filter(g => g.agents.includes('*'));
+
+  const rules = mine.flatMap(g => g.rules).map(r => ({ ...r, re: ruleRegExp(r.pattern) }));
+  const delays = mine.map(g => g.crawlDelay).filter(n => n != null);
+  const crawlDelayMs = delays.length ? Math.round(Math.max(...delays) * 1000) : 0;
+
+  function check(url) {
+    let u;
+    try { u = url instanceof URL ? url : new URL(url); } catch { return null; }
+    const target = u.pathname + u.search;
+    if (u.pathname === '/robots.txt') return null;
+    let best = null;
+    for (const r of rules) {
+      if (!r.re.test(target)) continue;
+      if (!best || r.pattern.length > best.pattern.length || (r.pattern.length === best.pattern.length && r.allow)) best = r;
+    }
+    return best && !best.allow ? { rule: `Disallow: ${best.pattern}`, line: best.line } : null;
+  }
+
+  return {
+    agent: me,
+    group: mine.length ? mine[0].agents.join(',') : '',
+    rules: rules.length,
+    sitemaps,
+    crawlDelayMs,
+    check,
+    allows: (url) => check(url) === null,
+  };
+}
+
+/**
+ * Fetch (or reuse) <origin>/robots.txt. With cacheFile, a copy younger than maxAgeMs is reused so the
+ * workers of one run don't each hit the site; the orchestrator passes refresh to fetch it once up front.
+ * Never throws: an unreachable robots.txt gives an allow-all result (status 0).
+ */
+async function loadRobots(base, { cacheFile, refresh = false, maxAgeMs = 60 * 60 * 1000, timeoutMs = 10000, log } = {}) {
+  const url = new URL('/robots.txt', base).toString();
+  if (cacheFile && !refresh) {
+    try {
+      const st = fs.statSync(cacheFile);
+      if (Date.now() - st.mtimeMs < maxAgeMs) {
+        return { ...createRobots(fs.readFileSync(cacheFile, 'utf8')), url, status: 200, source: 'cache' };
+      }
+    } catch {}
+  }
+  let status = 0, text = '';
+  try {
+    ({ status, text } = await fetchRobotsTxt(url, timeoutMs));
+  } catch (e) {
+    if (log) try { log.warn('robots/unreachable', { url, err: String(e && e.message ? e.message : e) }); } catch {}
+  }
+  const ok = status >= 200 && status < 300;
+  if (!ok) text = ''; // 4xx: no robots.txt; 5xx/network: treated the same (crawl allowed)
+  if (cacheFile) {
+    try { fs.mkdirSync(path.dirname(cacheFile), { recursive: true }); fs.writeFileSync(cacheFile, text, 'utf8'); } catch {}
+  }
+  return { ...createRobots(text), url, status, source: 'fetched' };
+}
+
+// Crawl-delay becomes the polite delay (children inherit the env); returns the effective delay
+function applyCrawlDelay(robots) {
+  const cur = parseInt(process.env.MC_POLITE_DELAY_MS || '0', 10) || 0;
+  if (robots && robots.crawlDelayMs > cur) {
+    process.env.MC_POLITE_DELAY_MS = String(robots.crawlDelayMs);
+    return robots.crawlDelayMs;
+  }
+  return cur;
+}
+
+// Disallowed URLs seen by one worker (first sighting per URL)
+function createBlockedLog({ enforce = false } = {}) {
+  const rows = new Map();
+  let dirty = false;
+
+  function record(url, hit, foundOn) {
+    if (!hit || rows.has(url) || rows.size >= MAX_BLOCKED_ROWS) return;
+    rows.set(url, { url, rule: hit.rule, line: hit.line, found_on: foundOn || '', action: enforce ? 'skipped' : 'crawled' });
+    dirty = true;
+  }
+
+  function save(file) {
+    if (!dirty || !file) return false;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(Array.from(rows.values())), 'utf8');
+      dirty = false;
+      return true;
+    } catch { return false; }
+  }
+
+  return { record, save, enforce, get size() { return rows.size; } };
+}
+
+module.exports = { parseRobots, createRobots, loadRobots, applyCrawlDelay, createBlockedLog };
@@ -0,0 +1,124 @@
+// src/discover/scope.js
+'use strict';
+
+// Discovery scope shared by crawler.js, run.js, extract/links.js and scripts/shard-run.js:
+//   pathPrefix  only paths at or under it
+//   include     when given, a path must match at least one rule
+//   exclude     a path matching any rule is out (wins over include)
+//   maxDepth    click-depth limit for the frontier crawler (0 = none; only crawls know depths)
+// Rules are globs or regexes:
+//   glob   /search   /*/compare/*   /blog/**   — * is one path segment, ** any number of them, ? one
+//          character. A glob covers the path itself and everything below it, and is tried against
+//          both the full path and the path below the run's prefix (so /search also means
+//          /en-us/search); section workers pass that prefix as rulesRoot.
+//   regex  re:^/products/\d+$   — tested against path + query
+// Callers keep their own origin/site checks; this module only decides about the path.
+
+function splitRules(v) {
+  if (v == null || v === '' || v === false) return [];
+  // arrays (config file, repeated flags) item by item; a string is one rule per line or comma
+  // (a re: rule is never comma-split, so its {m,n} survive)
+  if (Array.isArray(v)) return v.flatMap(splitRules);
+  return String(v).split(/\r?\n/).flatMap(line => {
+    const s = line.trim();
+    return /^re:/i.test(s) ? [s] : s.split(',').map(x => x.trim());
+  }).filter(Boolean);
+}
+
+function globToRegExp(glob) {
+  let g = String(glob).trim();
+  if (!g.startsWith('/')) g = '/' + g;
+  if (g.length > 1) g = g.replace(/\/+$/, '');
+  let re = '';
+  for (let i = 0; i < g.length; i++) {
+    const c = g[i];
+    if (c === '*' && g[i + 1] === '*') { re += '.*'; i++; }
+    else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re === '/' ? '' : re}(?:/.*)?$`, 'i');
+}
+
+function compileRule(raw) {
+  const s = String(raw).trim();
+  if (/^re:/i.test(s)) {
+    const re = new RegExp(s.slice(3));
+    return { raw: s, kind: 'regex', test: (pathAndQuery) => re.test(pathAndQuery) };
+  }
+  const re = globToRegExp(s);
+  return { raw: s, kind: 'glob', test: (pathAndQuery, pathname, relPath) => re.test(pathname) || (relPath != null && re.test(relPath)) };
+}
+
+/**
+ * Build a scope. Invalid rules throw (the orchestrator reports them as config errors up front).
+ * check(url, depth) -> null when in scope, else 'prefix' | 'include' | 'exclude' | 'depth'.
+ */
+function createScope({ pathPrefix = '', include = [], exclude = [], maxDepth = 0, rulesRoot } = {}) {
+  const clean = (p) => String(p || '').replace(/^["']|["']$/g, '').replace(/\/+$/, '');
+  const prefix = clean(pathPrefix);
+  const root = rulesRoot != null ? clean(rulesRoot) : prefix;
+  const inc = splitRules(include).map(compileRule);
+  const exc = splitRules(exclude).map(compileRule);
+  const depthCap = Math.max(0, parseInt(maxDepth, 10) || 0);
+
+  const inPrefix = (pathname) => {
+    if (!prefix) return true;
+    const pn = String(pathname || '/').replace(/\/{2,}/g, '/').replace(/\/+$/, '') || '/';
+    return pn === prefix || pn.startsWith(prefix + '/');
+  };
+
+  function check(url, depth) {
+    let u;
+    try { u = url instanceof URL ? url : new URL(url); } catch { return 'prefix'; }
+    const pathname = u.pathname.replace(/\/{2,}/g, '/').replace(/\/+$/, '') || '/';
+    if (!inPrefix(pathname)) return 'prefix';
+    const rel = root && (pathname === root || pathname.startsWith(root + '/')) ? (pathname.slice(root.length) || '/') : null;
+    const pq = pathname + u.search;
+    if (inc.length && !inc.some(r => r.test(pq, pathname, rel))) return 'include';
+    if (exc.some(r => r.test(pq, pathname, rel))) return 'exclude';
+    if (depthCap && depth != null && depth > depthCap) return 'depth';
+    return null;
+  }
+
+  const allows = (url, depth) => check(url, depth) === null;
+
+  // Lines for summary.txt
+  function describe() {
+    return [
+      `Scope prefix:              ${prefix || '/'}`,
+      `Scope include:             ${inc.length ? inc.map(r => r.raw).join('  ') : '(everything)'}`,
+      `Scope exclude:             ${exc.length ? exc.map(r => r.raw).join('  ') : '(nothing)'}`,
+      `Scope max depth:           ${depthCap || '(unlimited)'}`,
+    ];
+  }
+
+  // Flags that rebuild this scope in a child (one flag per rule so regex commas survive)
+  function toArgs() {
+    return [
+      ...inc.flatMap(r => ['--include', r.raw]),
+      ...exc.flatMap(r => ['--exclude', r.raw]),
+      ...(depthCap ? ['--maxDepth', String(depthCap)] : []),
+    ];
+  }
+
+  return {
+    pathPrefix: prefix,
+    rulesRoot: root,
+    include: inc.map(r => r.raw),
+    exclude: exc.map(r => r.raw),
+    maxDepth: depthCap,
+    inPrefix, check, allows, describe, toArgs
+  };
+}
+
+// Validate rules without building a scope: [{ rule, reason }]
+function ruleErrors(rules) {
+  const out = [];
+  for (const r of splitRules(rules)) {
+    try { compileRule(r); } catch (e) { out.push({ rule: r, reason: String(e && e.message ? e.message : e) }); }
+  }
+  return out;
+}
+
+module.exports = { createScope, splitRules, ruleErrors };
@@ -0,0 +1,93 @@
+// src/discover/seen-set.js
+'use strict';
+
+// Durable "already crawled" set shared by every frontier worker (replaces one .done file per URL).
+//   - <dir>/seen.NN.txt shards, one 16-hex-char key (sha1 prefix of the URL) per line
+//   - add() is a single small O_APPEND write, so concurrent workers never need a lock
+//   - each process keeps an in-memory Set per shard and only reads bytes appended since its last look
+//   - nothing is ever garbage-collected: a URL marked done stays done for the whole run (and --resume)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SHARDS = 64;
+const KEY_RE = /^[0-9a-f]{16}$/;
+
+const keyOf = (url) => crypto.createHash('sha1').update(String(url)).digest('hex').slice(0, 16);
+
+function openSeenSet(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const shards = new Map(); // n -> { file, off, keys }
+
+  function shard(key) {
+    const n = parseInt(key.slice(0, 2), 16) % SHARDS;
+    let s = shards.get(n);
+    if (!s) {
+      s = { file: path.join(dir, `seen.${String(n).padStart(2, '0')}.txt`), off: 0, keys: new Set() };
+      shards.set(n, s);
+    }
+    return s;
+  }
+
+  // Pull in whatever other workers appended (only whole lines; a torn tail is re-read next time)
+  function refresh(s) {
+    let size = 0;
+    try { size = fs.statSync(s.file).size; } catch { return; }
+    if (size < s.off) { s.off = 0; s.keys.clear(); } // recreated underneath us
+    if (size === s.off) return;
+    let fd;
+    try {
+      fd = fs.openSync(s.file, 'r');
+      const buf = Buffer.alloc(size - s.off);
+      const n = fs.readSync(fd, buf, 0, buf.length, s.off);
+      const end = buf.lastIndexOf(10, n - 1);
+      if (end < 0) return;
+      for (const line of buf.toString('utf8', 0, end).split('\n')) {
+        const k = line.trim();
+        if (KEY_RE.test(k)) s.keys.add(k);
+      }
+      s.off += end + 1;
+    } catch {}
+    finally { try { if (fd != null) fs.closeSync(fd); } catch {} }
+  }
+
+  function has(url) {
+    const key = keyOf(url);
+    const s = shard(key);
+    if (s.keys.has(key)) return true;
+    refresh(s);
+    return s.keys.has(key);
+  }
+
+  function add(url) {
+    const key = keyOf(url);
+    const s = shard(key);
+    if (s.keys.has(key)) return false;
+    fs.appendFileSync(s.file, key + '\n', 'utf8');
+    s.keys.add(key);
+    return true;
+  }
+
+  function size() {
+    let total = 0;
+    for (let n = 0; n < SHARDS; n++) {
+      const s = shard(n.toString(16).padStart(2, '0'));
+      refresh(s);
+      total += s.keys.size;
+    }
+    return total;
+  }
+
+  return { dir, has, add, size };
+}
+
+// One handle per directory per process (tryClaim is called with the same locksDir every time)
+const open = new Map();
+function seenSetFor(dir) {
+  const key = path.resolve(dir);
+  if (!open.has(key)) open.set(key, openSeenSet(key));
+  return open.get(key);
+}
+
+module.exports = { openSeenSet, seenSetFor };
@@ -1,8 +1,23 @@
 // src/discover/sitemap.js
+// Sitemap discovery (sitemaps.org protocol):
+//   <sitemapindex>  child sitemaps are queued (loops and repeats are skipped)
+//   <urlset>        one entry per <url>: loc, lastmod, changefreq, priority and the
+//                   <xhtml:link rel="alternate" hreflang> alternates
+//   plain text      one URL per line
+// Bodies may be gzipped (.xml.gz or a gzip Content-Encoding). Expansion stops once maxUrls page URLs
+// are collected (--sitemapMaxUrls / MC_SITEMAP_MAX_URLS, default 200000) instead of at a fixed depth.
+// The entries are written to sitemap-urls.ndjson so workers get the metadata with each URL.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
 const https = require('https');
 const http = require('http');
+const { decodeEntities, parseAttrs } = require('../extract/html');
 
-function fetchText(url, timeoutMs = 10000) {
+const DEFAULT_MAX_URLS = 200000;
+const MAX_SITEMAP_FILES = 2000; // child sitemaps fetched per run, whatever the URL cap
+
+function fetchBody(url, timeoutMs = 10000, hops = 0) {
   return new Promise((resolve, reject) => {
     const mod = url.startsWith('https') ? https : http;
     const u = new URL(url);
@@ -14,20 +29,21 @@ function fetchText(url, timeoutMs = 10000) {
         path: u.pathname + (u.search || ''),
         method: 'GET',
         headers: {
-          'user-agent': 'meta-check-bot/1.0 (+https://github.com/)'
+          'user-agent': 'meta-check-bot/1.0 (+https://github.com/)',
+          'accept-encoding': 'gzip'
         },
       },
       res => {
         // follow redirects
-        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && hops < 5) {
+          res.resume();
           const next = new URL(res.headers.location, url).toString();
-          fetchText(next, timeoutMs).then(resolve, reject);
+          fetchBody(next, timeoutMs, hops + 1).then(resolve, reject);
           return;
         }
-        let data = '';
-        res.setEncoding('utf8');
-        res.on('data', chunk => (data += chunk));
-        res.on('end', () => resolve(data));
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
       }
     );
     req.setTimeout(timeoutMs, () => {
@@ -38,68 +54,165 @@ function fetchText(url, timeoutMs = 10000) {
   });
 }
 
-function extractLocs(xml) {
-  // Grab all <loc> elements, normalize whitespace
-  const locs = Array.from(xml.matchAll(/<loc>([\s\S]*?)<\/loc>/gi)).map(m => m[1].trim());
-  // Basic sanity
-  return locs.filter(u => /^https?:\/\//i.test(u));
+// gzip is detected by its magic bytes, so .xml.gz files and gzip transfer encoding are both covered
+function decodeBody(buf) {
+  let b = buf;
+  if (b.length > 2 && b[0] === 0x1f && b[1] === 0x8b) b = zlib.gunzipSync(b);
+  return b.toString('utf8').replace(/^\uFEFF/, '');
 }
 
-async function expandSitemap(url, depth = 0, seen = new Set()) {
-  if (depth > 3) return []; // avoid deep recursion
-  if (seen.has(url)) return [];
-  seen.add(url);
+// text of <tag> (any namespace prefix) inside an XML fragment, CDATA unwrapped and entities decoded
+function tagText(xml, tag) {
+  const m = xml.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'i'));
+  if (!m) return '';
+  return decodeEntities(m[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')).trim();
+}
 
-  let xml = '';
-  try {
-    xml = await fetchText(url, 12000);
-  } catch {
-    return [];
+function blocks(xml, tag) {
+  return Array.from(xml.matchAll(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'gi'))).map(m => m[1]);
+}
+
+const isHttp = (u) => /^https?:\/\//i.test(u);
+
+/**
+ * Parse one sitemap body.
+ * -> { kind: 'index', sitemaps: [{ url, lastmod }] }
+ *  | { kind: 'urlset' | 'text', urls: [{ url, lastmod, changefreq, priority, alternates: [{ hreflang, href }] }] }
+ *  | { kind: 'unknown' } (an HTML error page, an empty body…)
+ */
+function parseSitemap(text) {
+  const s = String(text || '').trim();
+  if (!s) return { kind: 'unknown' };
+
+  if (!s.startsWith('<')) {
+    const urls = s.split(/\r?\n/).map(l => l.trim()).filter(isHttp)
+      .map(url => ({ url, lastmod: '', changefreq: '', priority: '', alternates: [] }));
+    return urls.length ? { kind: 'text', urls } : { kind: 'unknown' };
   }
-  if (!xml || xml.length < 10) return [];
-
-  const locs = extractLocs(xml);
-  if (!locs.length) return [];
-
-  // If a <loc> ends with .xml or contains 'sitemap', recurse; else treat as page URL
-  const pages = [];
-  for (const loc of locs) {
-    const lower = loc.toLowerCase();
-    if (lower.endsWith('.xml') || lower.includes('sitemap')) {
-      const more = await expandSitemap(loc, depth + 1, seen);
-      if (more.length) pages.push(...more);
-    } else {
-      pages.push(loc);
-    }
+
+  if (/<(?:[\w-]+:)?sitemapindex\b/i.test(s)) {
+    const sitemaps = blocks(s, 'sitemap')
+      .map(b => ({ url: tagText(b, 'loc'), lastmod: tagText(b, 'lastmod') }))
+      .filter(e => isHttp(e.url));
+    return { kind: 'index', sitemaps };
+  }
+
+  if (/<(?:[\w-]+:)?urlset\b/i.test(s)) {
+    const urls = blocks(s, 'url').map(b => {
+      const alternates = Array.from(b.matchAll(/<(?:[\w-]+:)?link\b[^>]*>/gi))
+        .map(m => parseAttrs(m[0]))
+        .filter(a => /\balternate\b/i.test(a.rel || '') && a.hreflang && isHttp(a.href || ''))
+        .map(a => ({ hreflang: a.hreflang, href: a.href }));
+      return {
+        url: tagText(b, 'loc'),
+        lastmod: tagText(b, 'lastmod'),
+        changefreq: tagText(b, 'changefreq').toLowerCase(),
+        priority: tagText(b, 'priority'),
+        alternates
+      };
+    }).filter(e => isHttp(e.url));
+    return { kind: 'urlset', urls };
   }
-  return [...new Set(pages)];
+
+  return { kind: 'unknown' };
 }
 
-async function discoverBySitemap(base) {
-  try {
-    const origin = new URL(base).origin;
-    const seeds = [
-      origin + '/sitemap.xml',
-      origin + '/sitemap_index.xml',
-      origin + '/sitemap-index.xml',
-      origin + '/sitemap-default.xml',
-    ];
-
-    const all = new Set();
-    for (const s of seeds) {
-      try {
-        const pages = await expandSitemap(s, 0, new Set());
-        for (const p of pages) all.add(p);
-      } catch {
-        // ignore this seed
+/**
+ * Expand sitemap seeds breadth-first into page entries (first sighting of a URL wins).
+ * -> { entries: [{ url, lastmod, changefreq, priority, alternates, sitemap }], files: [{ url, kind, status, urls, error }], capped }
+ */
+async function expandSitemaps(seeds, { maxUrls = DEFAULT_MAX_URLS, timeoutMs = 12000, log } = {}) {
+  const queue = Array.from(new Set(seeds));
+  const seen = new Set();
+  const byUrl = new Map();
+  const files = [];
+  let capped = false;
+
+  while (queue.length && files.length < MAX_SITEMAP_FILES) {
+    const url = queue.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+    if (byUrl.size >= maxUrls) { capped = true; break; }
+
+    const file = { url, kind: 'unknown', status: 0, urls: 0, error: '' };
+    files.push(file);
+    let parsed;
+    try {
+      const res = await fetchBody(url, timeoutMs);
+      file.status = res.status;
+      if (res.status < 200 || res.status >= 300) continue;
+      parsed = parseSitemap(decodeBody(res.body));
+    } catch (e) {
+      file.error = String(e && e.message ? e.message : e);
+      continue;
+    }
+    file.kind = parsed.kind;
+
+    if (parsed.kind === 'index') {
+      for (const sm of parsed.sitemaps) if (!seen.has(sm.url)) queue.push(sm.url);
+      file.urls = parsed.sitemaps.length;
+    } else if (parsed.urls) {
+      for (const e of parsed.urls) {
+        if (byUrl.has(e.url)) continue;
+        if (byUrl.size >= maxUrls) { capped = true; break; }
+        byUrl.set(e.url, { ...e, sitemap: url });
+        file.urls++;
       }
     }
+    if (log) try { log.info('sitemap/file', file); } catch {}
+  }
+  if (queue.length && files.length >= MAX_SITEMAP_FILES) capped = true;
 
-    // Return only non-XML pages
-    return [...all].filter(u => !u.toLowerCase().endsWith('.xml'));
+  return { entries: Array.from(byUrl.values()), files, capped };
+}
+
+const maxUrlsFromEnv = () => parseInt(process.env.MC_SITEMAP_MAX_URLS || '', 10) || DEFAULT_MAX_URLS;
+
+// sitemaps: extra seeds, e.g. the Sitemap: lines of robots.txt (tried before the usual guesses)
+async function discoverSitemapEntries(base, { sitemaps = [], maxUrls = maxUrlsFromEnv(), log } = {}) {
+  const origin = new URL(base).origin;
+  const seeds = [
+    ...sitemaps.filter(isHttp),
+    origin + '/sitemap.xml',
+    origin + '/sitemap_index.xml',
+    origin + '/sitemap-index.xml',
+    origin + '/sitemap-default.xml',
+  ];
+  return expandSitemaps(seeds, { maxUrls, log });
+}
+
+// Page URLs only (the original API)
+async function discoverBySitemap(base, opts = {}) {
+  try {
+    const { entries } = await discoverSitemapEntries(base, opts);
+    return entries.map(e => e.url);
   } catch {
     return [];
   }
 }
 
-module.exports = { discoverBySitemap };
+// sitemap-urls.ndjson: one entry per line, shared by the orchestrator and its workers
+function writeSitemapEntries(file, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, entries.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+}
+
+function readSitemapEntries(file) {
+  const out = [];
+  let raw = '';
+  try { raw = fs.readFileSync(file, 'utf8'); } catch { return out; }
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try { const e = JSON.parse(line); if (e && e.url) out.push(e); } catch {}
+  }
+  return out;
+}
+
+module.exports = {
+  discoverBySitemap,
+  discoverSitemapEntries,
+  expandSitemaps,
+  parseSitemap,
+  writeSitemapEntries,
+  readSitemapEntries
+};
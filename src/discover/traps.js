@@ -0,0 +1,165 @@
+// src/discover/traps.js
+'use strict';
+
+// Crawl-trap detector for the frontier crawler: scores each normalized URL and suppresses the ones
+// that look like an infinite URL space. Signals (weights add up; a URL scoring >= 1 is dropped):
+//   repeat      a path segment repeated more than MC_TRAP_MAX_REPEAT times, or a looping run (/a/b/a/b)
+//   depth       more than MC_TRAP_MAX_DEPTH path segments
+//   calendar    year/month[/day] paths (0.5), more than a year in the future (1)
+//   session     session ids in the path (;jsessionid=, (S(...)), sid-..., long random tokens)
+//   pagination  ?page= above MC_TRAP_MAX_PAGE (only reachable with --keepPageParam)
+//   siblings    more than MC_TRAP_MAX_SIBLINGS (default 5000) distinct URLs sharing one template (/events/*/*)
+// Suppressed URLs are grouped by template pattern with a few examples; each worker saves them to
+// crawl-traps.part<N>.json and the merge step writes crawl-traps.csv (patterns to add as excludes).
+// MC_TRAPS=0 turns the detector off.
+
+const fs = require('fs');
+const path = require('path');
+
+const num = (v, d) => { const n = parseInt(v, 10); return Number.isFinite(n) && n > 0 ? n : d; };
+
+const SESSION_RE = /(^|;)(jsessionid|phpsessid|sid|sessionid|session_id)[=-]|^\(s\([a-z0-9]+\)\)$/i;
+// session-key shaped tokens: 32+ hex digits, or 24+ base64url chars mixing upper, lower case and digits.
+// Slugs, numeric ids, UUIDs and 24-hex object ids are content, not sessions.
+const HEX_TOKEN_RE = /^(?=.*\d)(?=.*[a-f])[0-9a-f]{32,}$/i;
+const B64_TOKEN_RE = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])[A-Za-z0-9_-]{24,}$/;
+const WORD_RE = /^[a-z]{3,}$/i; // a -/_ separated part that reads as a word (slugs have them, tokens don't)
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_ID_RE = /^[0-9a-f]{24}$/i;
+// id-shaped segments generalized for template grouping: 123, p-123, id_42, 123.html
+const ID_RE = /^[a-z]{0,3}[-_]?\d+(\.[a-z0-9]+)?$/i;
+const YEAR_RE = /^(19|20)\d{2}$/;
+const MONTH_RE = /^(0?[1-9]|1[0-2])$/;
+const DATE_RE = /^((19|20)\d{2})-(0?[1-9]|1[0-2])(-\d{1,2})?$/;
+
+// Token-shaped segment whose -/_ parts are not words
+// ("top-10-seo-tips-for-2024-beginners" is a slug, "a8Fq2x9LmQ7wZr4T-k3Vb8Np" is a token)
+function isToken(seg) {
+  if (HEX_TOKEN_RE.test(seg)) return true;
+  return B64_TOKEN_RE.test(seg) && !seg.split(/[-_]/).some(p => WORD_RE.test(p));
+}
+
+// Generalize a path segment for template grouping: ids, dates, session ids and tokens become *;
+// slugs stay as they are even when they contain a number (/blog/top-10-tips-2024)
+function templateSegment(seg) {
+  if (SESSION_RE.test(seg) || isToken(seg)) return '*';
+  if (ID_RE.test(seg) || DATE_RE.test(seg) || UUID_RE.test(seg) || HEX_ID_RE.test(seg)) return '*';
+  return seg;
+}
+
+function createTrapDetector({
+  maxDepth = num(process.env.MC_TRAP_MAX_DEPTH, 12),
+  maxRepeat = num(process.env.MC_TRAP_MAX_REPEAT, 2),
+  maxSiblings = num(process.env.MC_TRAP_MAX_SIBLINGS, 5000),
+  maxPage = num(process.env.MC_TRAP_MAX_PAGE, 200),
+  examples = 5,
+  log = null,
+} = {}) {
+  const enabled = process.env.MC_TRAPS !== '0';
+  const thisYear = new Date().getFullYear();
+  const siblings = new Map(); // template -> Set(url) (admitted members only, capped at maxSiblings)
+  const traps = new Map();    // `${reason}|${pattern}` -> { reason, pattern, score, suppressed, examples:Set }
+  let dirty = false;
+
+  function signals(u, segs) {
+    const out = [];
+
+    // repeated segments: /a/a/a or a looping run /a/b/a/b
+    const counts = new Map();
+    for (const s of segs) counts.set(s, (counts.get(s) || 0) + 1);
+    let loop = false;
+    for (let len = 2; len <= Math.floor(segs.length / 2) && !loop; len++) {
+      for (let i = 0; i + 2 * len <= segs.length && !loop; i++) {
+        if (segs.slice(i, i + len).join('/') === segs.slice(i + len, i + 2 * len).join('/')) loop = true;
+      }
+    }
+    if (loop || Array.from(counts.values()).some(n => n > maxRepeat)) out.push(['repeat', 1]);
+
+    if (segs.length > maxDepth) out.push(['depth', 1]);
+
+    for (let i = 0; i < segs.length; i++) {
+      const d = segs[i].match(DATE_RE);
+      const year = d ? Number(d[1]) : (YEAR_RE.test(segs[i]) && MONTH_RE.test(segs[i + 1] || '') ? Number(segs[i]) : 0);
+      if (!year) continue;
+      // past years are archives (0.5: only a runaway sibling count drops them); future ones are generated
+      out.push(['calendar', year > thisYear + 1 ? 1 : 0.5]);
+      break;
+    }
+
+    if (segs.some(s => SESSION_RE.test(s) || isToken(s))) out.push(['session', 1]);
+
+    const page = Number(u.searchParams.get('page'));
+    if (Number.isFinite(page) && page > maxPage) out.push(['pagination', 1]);
+
+    return out;
+  }
+
+  function record(reason, pattern, score, url) {
+    const key = `${reason}|${pattern}`;
+    let t = traps.get(key);
+    if (!t) {
+      t = { reason, pattern, score: 0, suppressed: 0, examples: new Set() };
+      traps.set(key, t);
+      if (log) { try { log.warn('crawl-trap', { reason, pattern, example: url }); } catch {} }
+    }
+    t.suppressed++;
+    t.score = Math.max(t.score, score);
+    if (t.examples.size < examples) t.examples.add(url);
+    dirty = true;
+  }
+
+  /**
+   * null when the URL is fine, else { reason, pattern, score } (and the URL is counted as suppressed).
+   * Calling it again for an already admitted URL is harmless: sibling counts are per distinct URL.
+   */
+  function check(url) {
+    if (!enabled) return null;
+    let u;
+    try { u = new URL(url); } catch { return null; }
+    const segs = u.pathname.split('/').filter(Boolean);
+    const template = '/' + segs.map(templateSegment).join('/');
+
+    const hits = signals(u, segs);
+    let score = hits.reduce((n, [, w]) => n + w, 0);
+    let reason = hits.map(([r]) => r).join('+');
+
+    // only templated paths (something generalized to *) can run away; admitted URLs stay admitted
+    let members = null;
+    if (template.includes('*')) {
+      if (!siblings.has(template)) siblings.set(template, new Set());
+      members = siblings.get(template);
+      if (members.has(url)) members = null;
+      else if (members.size >= maxSiblings) {
+        score += 1;
+        reason = reason ? `${reason}+siblings` : 'siblings';
+      }
+    }
+
+    if (score >= 1) {
+      const pattern = hits.some(([r]) => r === 'pagination') ? `${template}?page=*` : template;
+      record(reason, pattern, score, url);
+      return { reason, pattern, score };
+    }
+    if (members) members.add(url);
+    return null;
+  }
+
+  function records() {
+    return Array.from(traps.values()).map(t => ({ ...t, examples: Array.from(t.examples) }));
+  }
+
+  // Per-worker part file (only rewritten when something new was suppressed)
+  function save(file) {
+    if (!dirty || !file) return false;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(records()), 'utf8');
+      dirty = false;
+      return true;
+    } catch { return false; }
+  }
+
+  return { check, records, save, enabled };
+}
+
+module.exports = { createTrapDetector, templateSegment };
@@ -0,0 +1,64 @@
+// src/extract/html.js
+'use strict';
+
+// Tiny string-level HTML helpers for the raw-HTML (no browser) paths.
+// Not a real parser: good enough for <title>, <meta> and <a href> on server-rendered pages.
+
+const NAMED = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+function decodeEntities(s) {
+  return String(s || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+|#39);/gi, (m, ent) => {
+    const k = ent.toLowerCase();
+    if (k[0] === '#') {
+      const code = k[1] === 'x' ? parseInt(k.slice(2), 16) : parseInt(k.slice(1), 10);
+      try { return Number.isFinite(code) ? String.fromCodePoint(code) : m; } catch { return m; }
+    }
+    return NAMED[k] != null ? NAMED[k] : m;
+  });
+}
+
+// <meta name="x" content='y' data-z=w> -> { name:'x', content:'y', 'data-z':'w' }
+function parseAttrs(tag) {
+  const attrs = {};
+  const re = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const inner = String(tag || '').replace(/^<\s*[^\s>\/]+/, '').replace(/\/?>$/, '');
+  let m;
+  while ((m = re.exec(inner))) {
+    const k = m[1].toLowerCase();
+    if (attrs[k] != null) continue; // first wins, like the DOM
+    attrs[k] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+function stripTags(html) {
+  return decodeEntities(String(html || '')
+    .replace(/<script\b[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style\b[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Visible <body> text — used to spot client-rendered shells
+function bodyText(html) {
+  const m = String(html || '').match(/<body\b[^>]*>([\s\S]*?)(?:<\/body>|$)/i);
+  return stripTags(m ? m[1] : html);
+}
+
+/**
+ * Heuristic: the server sent an app shell and the real content is rendered client-side.
+ * (empty mount node / noscript "enable JavaScript" / almost no text but scripts present)
+ */
+function looksClientRendered(html) {
+  const s = String(html || '');
+  const text = bodyText(s);
+  const scripts = (s.match(/<script\b/gi) || []).length;
+  if (/<(div|main)\b[^>]*\bid=["']?(root|app|__next|__nuxt)["']?[^>]*>\s*<\/\1>/i.test(s)) return true;
+  if (/<app-root\b[^>]*>\s*<\/app-root>/i.test(s)) return true;
+  if (/<noscript\b[^>]*>[\s\S]*?enable javascript[\s\S]*?<\/noscript>/i.test(s) && text.length < 400) return true;
+  return scripts > 0 && text.length < 200;
+}
+
+module.exports = { decodeEntities, parseAttrs, stripTags, bodyText, looksClientRendered };
@@ -1,4 +1,7 @@
 // src/extract/links.js
+const { parseAttrs, stripTags } = require('./html');
+const { createScope } = require('../discover/scope');
+
 async function collectLinksOnce(page) {
   return await page.evaluate(() => {
     const bad = /^(javascript:|mailto:|tel:|data:)/i;
@@ -119,14 +122,14 @@ async function installNavRecorder(page) {
   });
 }
 
-function filterAndNormalize(items, { origin, pathPrefix, keepPageParam }) {
+function filterAndNormalize(items, { origin, pathPrefix, keepPageParam, scope }) {
   const seen = new Set(), out = [];
+  const sc = scope || createScope({ pathPrefix });
   const assetRe = /\.(?:png|jpe?g|gif|webp|svg|ico|pdf|zip|mp4|webm|css|js|woff2?|ttf|otf)(?:\?|$)/i;
   for (const it of items) {
     try {
       const u = new URL(it.url, origin);
       if (u.origin !== origin) continue;
-      if (pathPrefix && !u.pathname.startsWith(pathPrefix)) continue;
       if (assetRe.test(u.pathname)) continue;
       if (!keepPageParam) {
         const q = new URLSearchParams(u.search);
@@ -134,6 +137,7 @@ function filterAndNormalize(items, { origin, pathPrefix, keepPageParam }) {
         u.search = q.toString() ? '?' + q.toString() : '';
       }
       if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
+      if (!sc.allows(u)) continue; // prefix + include/exclude, on the normalized URL
       const url = u.toString();
       const text = (it.text || '').trim();
       const kind = it.kind || '';
@@ -148,9 +152,11 @@ async function extractInternalLinks(page, opts) {
   const {
     origin,
     pathPrefix = '',
+    scope = null,
    keepPageParam = false,
     max = 50000,
     interactive = true,
+    navRecorder = true,   // false => no pushState/location/window.open hooks (linksMode=lite)
     waitAfterLoadMs = 300,
     allowSubdomains = false
   } = opts || {};
@@ -158,7 +164,7 @@ async function extractInternalLinks(page, opts) {
   try { await page.waitForLoadState('networkidle', { timeout: 3000 }); } catch {}
   if (waitAfterLoadMs) await page.waitForTimeout(waitAfterLoadMs);
 
-  await installNavRecorder(page);
+  if (navRecorder) await installNavRecorder(page);
 
   let items = await collectLinksOnce(page);
   if (interactive && items.length < max) {
@@ -166,11 +172,13 @@ async function extractInternalLinks(page, opts) {
     const more = await collectLinksOnce(page);
     items = items.concat(more);
   }
-  const navs = await page.evaluate(() => Array.from(new Set(window.__navs || [])));
+  const navs = navRecorder
+    ? await page.evaluate(() => Array.from(new Set(window.__navs || [])))
+    : [];
   if (navs.length) items.push(...navs.map(u => ({ url: u, text: '', kind: 'spa' })));
 
   if (!allowSubdomains) {
-    return filterAndNormalize(items, { origin, pathPrefix, keepPageParam }).slice(0, max);
+    return filterAndNormalize(items, { origin, pathPrefix, keepPageParam, scope }).slice(0, max);
   } else {
     const baseHost = new URL(origin).hostname;
    const etld1 = (h) => h.split('.').slice(-2).join('.');
@@ -178,8 +186,37 @@ async function extractInternalLinks(page, opts) {
     const sameSiteItems = items.filter(it => {
       try { return etld1(new URL(it.url, origin).hostname) === registrable; } catch { return false; }
     });
-    return filterAndNormalize(sameSiteItems, { origin, pathPrefix, keepPageParam }).slice(0, max);
+    return filterAndNormalize(sameSiteItems, { origin, pathPrefix, keepPageParam, scope }).slice(0, max);
+  }
+}
+
+// Static <a href> links straight from raw HTML (metaStrategy=http; no DOM, no reveal)
+function extractLinksFromHtml(html, pageUrl, opts) {
+  const { origin, pathPrefix = '', scope = null, keepPageParam = false, max = 50000 } = opts || {};
+  const s = String(html || '');
+  const bad = /^(javascript:|mailto:|tel:|data:)/i;
+  const baseTag = s.match(/<base\b[^>]*>/i);
+  let baseHref = pageUrl;
+  try { if (baseTag && parseAttrs(baseTag[0]).href) baseHref = new URL(parseAttrs(baseTag[0]).href, pageUrl).href; } catch {}
+
+  const items = [];
+  const re = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(s))) {
+    const attrs = parseAttrs('<a ' + m[1] + '>');
+    const href = (attrs.href || '').trim();
+    if (!href || bad.test(href)) continue;
+    let abs = '';
+    try { abs = new URL(href, baseHref).href; } catch { continue; }
+    let text = stripTags(m[2]);
+    if (!text) text = (attrs['aria-label'] || attrs.title || '').trim();
+    if (!text) {
+      const img = m[2].match(/<img\b[^>]*>/i);
+      if (img) text = (parseAttrs(img[0]).alt || '').trim();
+    }
+    items.push({ url: abs.split('#')[0], text, kind: 'a' });
   }
+  return filterAndNormalize(items, { origin, pathPrefix, keepPageParam, scope }).slice(0, max);
 }
 
-module.exports = { extractInternalLinks };
+module.exports = { extractInternalLinks, extractLinksFromHtml };
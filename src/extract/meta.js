@@ -1,3 +1,5 @@
+const { parseAttrs, decodeEntities } = require('./html');
+
 async function getMetaFromPage(page, url) {
   let lastErr;
   for (let attempt = 1; attempt <= 2; attempt++) {
@@ -27,4 +29,47 @@ async function getMetaFromPage(page, url) {
   }
   throw lastErr;
 }
-module.exports = { getMetaFromPage };
+
+// Same precedence as the in-page evaluate above, but over raw HTML (metaStrategy=http)
+function parseMetaFromHtml(html) {
+  const s = String(html || '');
+  const head = (s.match(/<head\b[\s\S]*?<\/head>/i) || [s])[0];
+  const metas = (head.match(/<meta\b[^>]*>/gi) || []).map(parseAttrs);
+  const by = (attr, val) => {
+    const m = metas.find(a => String(a[attr] || '').toLowerCase() === val);
+    return m ? String(m.content || '').trim() : '';
+  };
+  const tm = s.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const docTitle = tm ? decodeEntities(tm[1]).replace(/\s+/g, ' ').trim() : '';
+  const title =
+    by('name', 'title') ||
+    by('property', 'og:title') ||
+    docTitle || '';
+  const description =
+    by('name', 'description') ||
+    by('property', 'og:description') ||
+    '';
+  return { title, description };
+}
+
+// "noindex" / "none" in a robots meta content or an X-Robots-Tag value ("googlebot: noindex" included)
+const isNoindex = (v) => /(^|[\s,:])(noindex|none)([\s,]|$)/i.test(String(v || ''));
+
+// Indexing signals over raw HTML (the browser path reads the same from the DOM):
+// canonical (absolute), noindex from robots/googlebot meta, hreflang alternates
+function parseIndexingFromHtml(html, pageUrl) {
+  const s = String(html || '');
+  const head = (s.match(/<head\b[\s\S]*?<\/head>/i) || [s])[0];
+  const abs = (h) => { try { return new URL(h, pageUrl).toString(); } catch { return ''; } };
+  const links = (head.match(/<link\b[^>]*>/gi) || []).map(parseAttrs);
+  const canon = links.find(a => /(^|\s)canonical(\s|$)/i.test(a.rel || '') && a.href);
+  const noindex = (head.match(/<meta\b[^>]*>/gi) || []).map(parseAttrs)
+    .some(a => /^(robots|googlebot)$/i.test(a.name || '') && isNoindex(a.content));
+  const alternates = links
+    .filter(a => /(^|\s)alternate(\s|$)/i.test(a.rel || '') && a.hreflang && a.href)
+    .map(a => ({ hreflang: String(a.hreflang).trim(), href: abs(a.href) }))
+    .filter(a => /^https?:/i.test(a.href));
+  return { canonical: canon ? abs(canon.href) : '', noindex, alternates };
+}
+
+module.exports = { getMetaFromPage, parseMetaFromHtml, parseIndexingFromHtml, isNoindex };
@@ -6,6 +6,8 @@ const path = require('path');
 const fs = require('fs');
 const { run } = require('./run');
 const { sanitizePathPrefix } = require('./config');
+const { joinCoordinator } = require('./discover/coordinator');
+const { createScope } = require('./discover/scope');
 
 const asInt = (v, d) => {
   const n = parseInt(v, 10);
@@ -15,7 +17,8 @@ const asInt = (v, d) => {
 (async () => {
   const argv = minimist(process.argv.slice(2));
 
-  if (!argv.base) {
+  // a remote coordinator worker gets base/prefix/modes from the orchestrator when it registers
+  if (!argv.base && !argv.coordinator) {
     console.error('✖ Missing required flag: --base');
     process.exit(1);
   }
@@ -39,9 +42,6 @@ const asInt = (v, d) => {
 
   const outDir = path.resolve(argv.outDir || 'dist');
 
-  // Use workerId when available, otherwise fall back to shardIndex for per-worker artifacts
-  const cachePart = (workerId != null ? workerId : shardIndex);
-
   const cfg = {
     // inputs
     input: (argv.input ? argv.input : ''),
@@ -65,6 +65,9 @@ const asInt = (v, d) => {
     partIndex,
     partTotal,
     bucketParts:  argv.bucketParts ? asInt(argv.bucketParts, undefined) : undefined,
+    coordinatorUrl: argv.coordinator ? String(argv.coordinator) : undefined, // orchestrator-owned frontier over HTTP
+    sectionRoot:  argv.sectionRoot != null ? String(argv.sectionRoot) : undefined, // run prefix sections are keyed under
+    sectionQuota: asInt(argv.sectionQuota, 0),                                     // claims per section (0 = no cap)
 
     // worker tag for logs
     workerId,
@@ -73,27 +76,105 @@ const asInt = (v, d) => {
     // explicit URL list IO (3‑column mode)
     urlsFile:    argv.urlsFile    ? path.resolve(argv.urlsFile)    : undefined,
     urlsOutFile: argv.urlsOutFile ? path.resolve(argv.urlsOutFile) : undefined,
+    resumeUrlsFile: argv.resumeUrlsFile ? path.resolve(argv.resumeUrlsFile) : undefined,
+    sitemapFile: argv.sitemapFile ? path.resolve(argv.sitemapFile) : undefined, // sitemap-urls.ndjson from the orchestrator
+    sitemapMaxUrls: asInt(argv.sitemapMaxUrls, 0),                              // 0 = MC_SITEMAP_MAX_URLS / default
+    sitemapBaseUrl: argv.sitemapBaseUrl ? String(argv.sitemapBaseUrl) : undefined,  // where sitemap-N.xml get hosted (index <loc>s)
+    sitemapHreflang: argv.sitemapHreflang === true || argv.sitemapHreflang === 'true', // xhtml:link alternates in sitemap.xml
+    sitemapLastmod:  argv.sitemapLastmod  === true || argv.sitemapLastmod  === 'true', // Last-Modified as <lastmod>
+    redirectChainMax: asInt(argv.redirectChainMax, 1),                   // redirects.csv: more hops = long_chain
+    externalAllow: argv.externalAllow ? String(argv.externalAllow) : '', // external_links: only these domains
+    externalDeny:  argv.externalDeny  ? String(argv.externalDeny)  : '', // external_links: never these
 
     // behavior flags
     rebuildLinks: argv.rebuildLinks === true || argv.rebuildLinks === 'true',
     dropCache:    argv.dropCache    === true || argv.dropCache    === 'true',
     reportsOnly:  argv.reportsOnly  === true || argv.reportsOnly  === 'true',
+    deferReports: argv.deferReports === true || argv.deferReports === 'true', // orchestrator writes shared reports
+    mergeReports: argv.mergeReports === true || argv.mergeReports === 'true', // that final pass
     forceRefresh: argv.forceRefresh === true || argv.forceRefresh === 'true',
+    reconcile:    argv.reconcile    === true || argv.reconcile    === 'true', // crawl alongside the sitemap
+    metaStrategy: String(argv.metaStrategy || 'browser').toLowerCase(), // 'browser' | 'http'
+    linksMode:    String(argv.linksMode || 'full').toLowerCase(),        // 'none' | 'lite' | 'full'
+    robots:       String(argv.robots || 'report').toLowerCase(),          // 'report' | 'obey' | 'off'
 
     // performance
     concurrency:   asInt(argv.concurrency, 4),
     maxCrawlPages: asInt(argv.maxPages, 50000),
     cacheTtlDays:  asInt(argv.cacheTtlDays, 7),
 
-    // per-worker artifacts
-    // 🔁 align with run.js' fetch cache naming to avoid collisions with reports
-    cachePath: path.join(outDir, `fetch-cache.part${cachePart}.json`),
+    // shared worker artifacts
+    cachePath: path.join(outDir, 'fetch-cache.ndjson'), // one append-only, locked store for all workers
     locksDir:  path.join(outDir, 'locks'),
   };
 
   try { fs.mkdirSync(cfg.outDir, { recursive: true }); } catch {}
 
+  // --coordinator: register with the orchestrator (heartbeats keep our claims leased).
+  // Without --frontierDir this is a remote worker (another machine/container): it takes the run's
+  // settings and a worker id from the orchestrator and ships its part files back over HTTP.
+  let session = null;
+  if (cfg.coordinatorUrl) {
+    const remote = !cfg.frontierDir;
+    try {
+      session = await joinCoordinator(cfg.coordinatorUrl, {
+        workerId: remote ? undefined : cfg.workerId,
+        name: argv.workerName ? String(argv.workerName) : undefined,
+        remote
+      });
+    } catch (e) {
+      console.error('✖ Could not register with coordinator', cfg.coordinatorUrl, '-', e && e.message ? e.message : e);
+      process.exit(1);
+    }
+    if (remote) {
+      const s = session.settings || {};
+      Object.assign(cfg, {
+        base: s.base || cfg.base,
+        pathPrefix: sanitizePathPrefix(s.pathPrefix || ''),
+        keepPageParam: !!s.keepPageParam,
+        metaStrategy: String(s.metaStrategy || cfg.metaStrategy),
+        linksMode: String(s.linksMode || cfg.linksMode),
+        robots: String(s.robots || cfg.robots),
+        sitemapMaxUrls: s.sitemapMaxUrls || cfg.sitemapMaxUrls,
+        reconcile: !!s.reconcile,
+        bucketParts: s.bucketParts || cfg.bucketParts,
+        mode: 'frontier',
+        deferReports: true,
+        workerId: session.workerId,
+        workerTotal: session.workerTotal,
+        urlsOutFile: path.join(outDir, `urls-final.part${session.workerId}.json`),
+        remoteWorker: true,
+      });
+      // telemetry + stop-state go to the orchestrator instead of localhost
+      try {
+        const u = new URL(cfg.coordinatorUrl);
+        process.env.TELEMETRY_HOST = u.hostname;
+        process.env.TELEMETRY_PORT = u.port || (u.protocol === 'https:' ? '443' : '80');
+      } catch {}
+      console.log('[worker] joined coordinator', { url: session.url, workerId: session.workerId, base: cfg.base });
+    }
+  }
+
+  // include/exclude rules + maxDepth (a remote worker gets the orchestrator's)
+  try {
+    const rules = cfg.remoteWorker
+      ? ((session.settings || {}).scope || {})
+      : { include: argv.include, exclude: argv.exclude, maxDepth: argv.maxDepth };
+    cfg.scope = createScope({ pathPrefix: cfg.pathPrefix, rulesRoot: cfg.sectionRoot, ...rules });
+  } catch (e) {
+    console.error('✖ Invalid --include/--exclude rule:', e && e.message ? e.message : e);
+    process.exit(1);
+  }
+
   await run(cfg);
+
+  if (session) {
+    if (session.remote) {
+      const sent = await session.uploadParts(cfg.outDir, cfg.urlsOutFile);
+      console.log('[worker] results sent', sent.map(r => `${r.file} (${r.bytes} B)`));
+    }
+    await session.finish();
+  }
 })().catch(err => {
   console.error(err && err.stack ? err.stack : err);
   process.exit(1);
@@ -0,0 +1,189 @@
+// src/io/link-check.js
+'use strict';
+
+// "broken_links" output: validate every internal link target in the run's link graph.
+// Targets are de-duplicated (fragment dropped), each is traced once through one prober, so the rate
+// limit (MC_POLITE_DELAY_MS between requests, LINK_CHECK_DELAY_MS when unset) covers the whole run,
+// however many shards built the graph: the orchestrator runs this once over the merged internal-links.ndjson.
+// broken-links.csv: one row per broken target — 4xx/5xx at the end of its redirect chain, a network
+// error, a redirect loop or an over-long chain — with the pages linking to it, their anchor texts
+// and the edge kinds (extracted / nav / candidate …). Most-linked first.
+//
+// "external_links" output (opt-in): edges leaving the run's host (--base and its subdomains), checked
+// the same way but one prober per domain — at most one request in flight per domain and
+// MC_EXTERNAL_DELAY_MS (default 1000) between them, a few domains at a time. Domain lists (--externalAllow / --externalDeny, a domain
+// also covers its subdomains) decide which targets are checked; the rest are listed as skipped.
+// 403 and 429 (bot walls, rate limits) are "unverifiable", not broken.
+
+const path = require('path');
+const { normalizeUrl } = require('../match/normalize');
+const { createProber } = require('../utils/probe');
+const { readLinkEdges, writeCsvRows } = require('./merge-parts');
+
+const MAX_LISTED = 25; // source pages / anchor texts spelled out per row (source_count has the total)
+const LINK_CHECK_DELAY_MS = 250; // between internal link probes unless MC_POLITE_DELAY_MS says otherwise
+
+const DOMAIN_POOL = 6; // external domains checked side by side
+const UNVERIFIABLE = new Set([403, 429]);
+
+const targetOf = (u) => { try { const x = new URL(u); x.hash = ''; return /^https?:$/.test(x.protocol) ? x.toString() : ''; } catch { return ''; } };
+
+// target -> { sources, texts, kinds } (where it is linked from)
+function groupTargets(edges, keepPageParam) {
+  const targets = new Map();
+  for (const e of edges) {
+    const t = targetOf(e.link_url);
+    if (!t) continue;
+    let from = e.page_url;
+    try { from = normalizeUrl(e.page_url, { keepPageParam }); } catch {}
+    if (!targets.has(t)) targets.set(t, { sources: new Set(), texts: new Set(), kinds: new Set() });
+    const g = targets.get(t);
+    g.sources.add(from);
+    if (e.link_text) g.texts.add(e.link_text);
+    g.kinds.add(e.kind);
+  }
+  return targets;
+}
+
+const listed = (set, sort) => { const a = Array.from(set); if (sort) a.sort(); return a.slice(0, MAX_LISTED).join(' | '); };
+
+/**
+ * Probe the internal link targets and write broken-links.csv.
+ * -> { file, rows, parts, checked } for appendSummary, or null when the run has no link graph.
+ */
+async function writeBrokenLinks(outDir, {
+  base = '',
+  keepPageParam = false,
+  prober = null,
+  delayMs = parseInt(process.env.MC_POLITE_DELAY_MS || '0', 10) || LINK_CHECK_DELAY_MS,
+  log = null
+} = {}) {
+  const { edges, parts } = readLinkEdges(outDir, { base });
+  const internal = edges.filter(e => e.link_type !== 'external');
+  if (!internal.length) {
+    if (log) try { log.warn('links/check-skipped', { hint: 'no internal edges (--linksMode lite or full builds them)' }); } catch {}
+    return null;
+  }
+
+  const targets = groupTargets(internal, keepPageParam);
+
+  const p = prober || createProber({ delayMs });
+  if (log) try { log.info('links/check-start', { targets: targets.size, delayMs: p.delayMs, concurrency: p.concurrency }); } catch {}
+  const traces = await p.probeAll(Array.from(targets.keys()), (r, done, total) => {
+    if (log && done % 500 === 0) try { log.info('links/check', { done, total }); } catch {}
+  }, { follow: true });
+
+  const rows = [];
+  for (const [t, g] of targets) {
+    const r = traces.get(t);
+    if (!r) continue;
+    // a chain that still ends in a 3xx has no Location, loops or is too long
+    if (!r.error && r.status >= 200 && r.status < 300) continue;
+    rows.push([
+      t,
+      r.status || '',
+      r.finalUrl !== t ? r.finalUrl : '',
+      r.hops.length - 1,
+      r.error || '',
+      g.sources.size,
+      listed(g.sources, true),
+      listed(g.texts),
+      Array.from(g.kinds).sort().join(' | '),
+    ]);
+  }
+  rows.sort((a, b) => b[5] - a[5] || a[0].localeCompare(b[0]));
+
+  const file = path.join(outDir, 'broken-links.csv');
+  writeCsvRows(file, ['target_url', 'status', 'final_url', 'redirects', 'error', 'source_count', 'source_pages', 'anchor_text', 'kind'], rows);
+  return { file, rows: rows.length, parts, checked: targets.size };
+}
+
+// a domain rule covers the host and its subdomains ("example.com" matches www.example.com)
+const domainRules = (v) => (Array.isArray(v) ? v : String(v || '').split(/[,\s]+/))
+  .map(s => String(s).trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+const onDomain = (host, rules) => rules.some(d => host === d || host.endsWith('.' + d));
+
+/**
+ * Check the external link targets and write external-links.csv
+ * (result: ok | broken | unverifiable | skipped; broken first, then most-linked).
+ * -> { file, rows, parts, checked, broken, unverifiable } for appendSummary, or null without external edges.
+ */
+async function writeExternalLinks(outDir, {
+  base = '',
+  keepPageParam = false,
+  allow = [],
+  deny = [],
+  delayMs = parseInt(process.env.MC_EXTERNAL_DELAY_MS || '1000', 10) || 0,
+  log = null
+} = {}) {
+  const { edges, parts } = readLinkEdges(outDir, { base });
+  const external = edges.filter(e => e.link_type === 'external');
+  if (!external.length) {
+    if (log) try { log.warn('links/external-skipped', { hint: 'no external edges in the link graph' }); } catch {}
+    return null;
+  }
+  const allowRules = domainRules(allow), denyRules = domainRules(deny);
+  const targets = groupTargets(external, keepPageParam);
+
+  // checked targets by domain; one prober (one rate limit) per domain
+  const byDomain = new Map();
+  const hostOf = new Map();
+  for (const t of targets.keys()) {
+    const host = new URL(t).hostname.toLowerCase();
+    hostOf.set(t, host);
+    if (onDomain(host, denyRules) || (allowRules.length && !onDomain(host, allowRules))) continue;
+    if (!byDomain.has(host)) byDomain.set(host, []);
+    byDomain.get(host).push(t);
+  }
+
+  const traces = new Map();
+  const domains = Array.from(byDomain.keys());
+  if (log) try { log.info('links/external-start', { domains: domains.length, delayMs, perDomain: 1, domainPool: DOMAIN_POOL }); } catch {}
+  const total = domains.reduce((n, d) => n + byDomain.get(d).length, 0);
+  let next = 0;
+  const worker = async () => {
+    while (next < domains.length) {
+      const d = domains[next++];
+      const prober = createProber({ concurrency: 1, delayMs });
+      for (const t of byDomain.get(d)) {
+        traces.set(t, await prober.trace(t));
+        if (log && traces.size % 200 === 0) try { log.info('links/external', { done: traces.size, total }); } catch {}
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(DOMAIN_POOL, domains.length) }, worker));
+
+  const RANK = { broken: 0, unverifiable: 1, ok: 2, skipped: 3 };
+  const rows = [];
+  let broken = 0, unverifiable = 0;
+  for (const [t, g] of targets) {
+    const r = traces.get(t);
+    let result = 'skipped';
+    if (r) {
+      if (!r.error && r.status >= 200 && r.status < 300) result = 'ok';
+      else if (!r.error && UNVERIFIABLE.has(r.status)) result = 'unverifiable';
+      else result = 'broken';
+    }
+    if (result === 'broken') broken++;
+    if (result === 'unverifiable') unverifiable++;
+    rows.push([
+      t,
+      hostOf.get(t),
+      result,
+      r ? (r.status || '') : '',
+      r && r.finalUrl !== t ? r.finalUrl : '',
+      r ? r.hops.length - 1 : '',
+      r ? (r.error || '') : '',
+      g.sources.size,
+      listed(g.sources, true),
+      listed(g.texts),
+    ]);
+  }
+  rows.sort((a, b) => RANK[a[2]] - RANK[b[2]] || b[7] - a[7] || a[0].localeCompare(b[0]));
+
+  const file = path.join(outDir, 'external-links.csv');
+  writeCsvRows(file, ['target_url', 'domain', 'result', 'status', 'final_url', 'redirects', 'error', 'source_count', 'source_pages', 'anchor_text'], rows);
+  return { file, rows: rows.length, parts, checked: traces.size, broken, unverifiable };
+}
+
+module.exports = { writeBrokenLinks, writeExternalLinks };
@@ -0,0 +1,283 @@
+// src/io/merge-parts.js
+'use strict';
+
+// Orchestrator finalize: fold the per-worker .part files into the documented single outputs.
+//   site_catalog.part*.csv        -> site_catalog.csv        (one row per url)
+//   internal-links.part*.ndjson   -> internal-links.ndjson   (one edge per page_url|link_url|text|kind)
+//   crawl-traps.part*.json        -> crawl-traps.csv         (one row per reason|pattern)
+//   robots-blocked.part*.json     -> robots-blocked.csv      (one row per url)
+//   redirects.part*.json          -> redirects.csv           (one row per redirecting url)
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeUrl } = require('../match/normalize');
+
+// Quote-aware CSV records (descriptions may contain commas, quotes and newlines)
+function readCsvRecords(file, delim = ',') {
+  const s = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  const records = [];
+  let row = [], cell = '', q = false;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (q) {
+      if (c === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') q = false;
+      else cell += c;
+    } else if (c === '"') q = true;
+    else if (c === delim) { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.some(v => v !== '')) records.push(row);
+      row = [];
+    } else cell += c;
+  }
+  row.push(cell);
+  if (row.some(v => v !== '')) records.push(row);
+  return records;
+}
+
+const csvCell = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// headers + array rows -> CSV file (the merged reports and the audit reports share this shape)
+function writeCsvRows(file, headers, rows) {
+  fs.writeFileSync(file, [headers.join(','), ...rows.map(r => r.map(csvCell).join(','))].join('\n') + '\n', 'utf8');
+}
+
+const partFiles = (outDir, re) => {
+  try { return fs.readdirSync(outDir).filter(f => re.test(f)).sort(); } catch { return []; }
+};
+
+function mergeSiteCatalog(outDir) {
+  const parts = partFiles(outDir, /^site_catalog\.part\d+\.csv$/i);
+  if (!parts.length) return null;
+  const headers = ['url', 'title', 'description'];
+  const byUrl = new Map();
+  for (const f of parts) {
+    try {
+      const [head, ...rows] = readCsvRecords(path.join(outDir, f));
+      const idx = headers.map(h => (head || []).findIndex(x => String(x).trim().toLowerCase() === h));
+      for (const r of rows) {
+        const rec = headers.map((h, i) => (idx[i] >= 0 ? r[idx[i]] : '') || '');
+        if (rec[0] && !byUrl.has(rec[0])) byUrl.set(rec[0], rec);
+      }
+    } catch (e) {
+      console.warn('[merge warn]', f, e && e.message ? e.message : e);
+    }
+  }
+  const file = path.join(outDir, 'site_catalog.csv');
+  const rows = Array.from(byUrl.values()).sort((a, b) => a[0].localeCompare(b[0]));
+  writeCsvRows(file, headers, rows);
+  return { file, rows: rows.length, parts: parts.length };
+}
+
+// Same site = the site's host or one of its subdomains, "www." ignored on both sides. No "last two
+// labels" guess: on example.co.uk, other.co.uk is external.
+function sameSiteHost(host, siteHost) {
+  const bare = (h) => String(h || '').toLowerCase().replace(/^www\./, '');
+  const h = bare(host), s = bare(siteHost);
+  return !!s && (h === s || h.endsWith('.' + s));
+}
+
+// run.js rows: {page_url, link_url, link_text, kind}
+// crawler rows: {page_url, link_url, link_text, path_label, link_type, kind:'candidate'}
+// siteHost (the run's --base host) decides link_type; without it the row's own link_type, else the page's host
+function normalizeEdge(row, siteHost = '') {
+  if (!row || !row.page_url || !row.link_url) return null;
+  let pathLabel = row.path_label;
+  let linkType = row.link_type;
+  try {
+    const page = new URL(row.page_url);
+    if (pathLabel == null) pathLabel = page.pathname.replace(/^\/+|\/+$/g, '').split('/')[0] || '';
+    const linkHost = new URL(row.link_url, page).hostname;
+    if (siteHost) linkType = sameSiteHost(linkHost, siteHost) ? 'internal' : 'external';
+    else if (!linkType) linkType = sameSiteHost(linkHost, page.hostname) ? 'internal' : 'external';
+  } catch {}
+  return {
+    page_url: String(row.page_url),
+    link_url: String(row.link_url),
+    link_text: String(row.link_text ?? row.text ?? '').trim(),
+    kind: String(row.kind || 'extracted'),
+    link_type: linkType || 'internal',
+    path_label: pathLabel || ''
+  };
+}
+
+const hostOf = (base) => { try { return new URL(base).hostname; } catch { return ''; } };
+
+function mergeInternalLinks(outDir, { base = '' } = {}) {
+  const siteHost = hostOf(base);
+  const parts = partFiles(outDir, /^internal-links\.part\d+\.ndjson$/i);
+  if (!parts.length) return null;
+  const file = path.join(outDir, 'internal-links.ndjson');
+  const seen = new Set();
+  const lines = [];
+  let bad = 0;
+  for (const f of parts) {
+    let txt = '';
+    try { txt = fs.readFileSync(path.join(outDir, f), 'utf8'); } catch { continue; }
+    for (const line of txt.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      let edge = null;
+      try { edge = normalizeEdge(JSON.parse(line), siteHost); } catch {}
+      if (!edge) { bad++; continue; }
+      const key = `${edge.page_url}|${edge.link_url}|${edge.link_text}|${edge.kind}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      lines.push(JSON.stringify(edge));
+    }
+  }
+  fs.writeFileSync(file, lines.length ? lines.join('\n') + '\n' : '', 'utf8');
+  return { file, edges: lines.length, parts: parts.length, skipped: bad };
+}
+
+// Every edge of the link graph (normalized like the merge): internal-links.ndjson, or the part files
+// when it hasn't been merged. base (the run's --base) classifies internal/external. -> { edges, parts }
+function readLinkEdges(outDir, { base = '' } = {}) {
+  const siteHost = hostOf(base);
+  const merged = path.join(outDir, 'internal-links.ndjson');
+  const files = fs.existsSync(merged) ? ['internal-links.ndjson'] : partFiles(outDir, /^internal-links\.part\d+\.ndjson$/i);
+  const edges = [];
+  for (const f of files) {
+    let txt = '';
+    try { txt = fs.readFileSync(path.join(outDir, f), 'utf8'); } catch { continue; }
+    for (const line of txt.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      try { const e = normalizeEdge(JSON.parse(line), siteHost); if (e) edges.push(e); } catch {}
+    }
+  }
+  return { edges, parts: files.length };
+}
+
+// Suppressed crawl-trap patterns from every worker, most-hit first
+function mergeCrawlTraps(outDir) {
+  const parts = partFiles(outDir, /^crawl-traps\.part\d+\.json$/i);
+  if (!parts.length) return null;
+  const byKey = new Map();
+  for (const f of parts) {
+    let list = [];
+    try { list = JSON.parse(fs.readFileSync(path.join(outDir, f), 'utf8')); } catch (e) {
+      console.warn('[merge warn]', f, e && e.message ? e.message : e);
+      continue;
+    }
+    for (const t of Array.isArray(list) ? list : []) {
+      if (!t || !t.pattern) continue;
+      const key = `${t.reason}|${t.pattern}`;
+      const cur = byKey.get(key) || { reason: t.reason, pattern: t.pattern, score: 0, suppressed: 0, examples: new Set() };
+      cur.score = Math.max(cur.score, Number(t.score) || 0);
+      cur.suppressed += Number(t.suppressed) || 0;
+      for (const u of t.examples || []) if (cur.examples.size < 5) cur.examples.add(u);
+      byKey.set(key, cur);
+    }
+  }
+  const headers = ['reason', 'pattern', 'score', 'suppressed_links', 'examples'];
+  const rows = Array.from(byKey.values())
+    .sort((a, b) => b.suppressed - a.suppressed || a.pattern.localeCompare(b.pattern))
+    .map(t => [t.reason, t.pattern, t.score, t.suppressed, Array.from(t.examples).join(' | ')]);
+  const file = path.join(outDir, 'crawl-traps.csv');
+  writeCsvRows(file, headers, rows);
+  return { file, rows: rows.length, parts: parts.length };
+}
+
+// URLs robots.txt disallows for our agent, from every worker (first sighting per url)
+function mergeRobotsBlocked(outDir) {
+  const parts = partFiles(outDir, /^robots-blocked\.part\d+\.json$/i);
+  if (!parts.length) return null;
+  const byUrl = new Map();
+  for (const f of parts) {
+    let list = [];
+    try { list = JSON.parse(fs.readFileSync(path.join(outDir, f), 'utf8')); } catch (e) {
+      console.warn('[merge warn]', f, e && e.message ? e.message : e);
+      continue;
+    }
+    for (const r of Array.isArray(list) ? list : []) {
+      if (r && r.url && !byUrl.has(r.url)) byUrl.set(r.url, r);
+    }
+  }
+  const headers = ['url', 'rule', 'robots_line', 'found_on', 'action'];
+  const rows = Array.from(byUrl.values())
+    .sort((a, b) => a.url.localeCompare(b.url))
+    .map(r => [r.url, r.rule, r.line, r.found_on, r.action]);
+  const file = path.join(outDir, 'robots-blocked.csv');
+  writeCsvRows(file, headers, rows);
+  return { file, rows: rows.length, parts: parts.length };
+}
+
+// Redirect chains every worker saw (rendered fetches and HTTP probes), flagged:
+//   long_chain  more than maxHops redirects      loop       the chain comes back to a URL it passed
+//   302         a temporary hop (should it be a 301?)     linked     internal links point at a redirecting URL
+// inlinks / linked_from come from the link graph: pages linking to any redirecting hop of the chain.
+function mergeRedirects(outDir, { maxHops = 1, keepPageParam = false } = {}) {
+  const parts = partFiles(outDir, /^redirects\.part\d+\.json$/i);
+  if (!parts.length) return null;
+  const byUrl = new Map();
+  for (const f of parts) {
+    let list = [];
+    try { list = JSON.parse(fs.readFileSync(path.join(outDir, f), 'utf8')); } catch (e) {
+      console.warn('[merge warn]', f, e && e.message ? e.message : e);
+      continue;
+    }
+    for (const r of Array.isArray(list) ? list : []) {
+      if (r && r.url && Array.isArray(r.hops) && !byUrl.has(r.url)) byUrl.set(r.url, r);
+    }
+  }
+
+  const key = (u) => { try { return normalizeUrl(u, { keepPageParam }).replace(/\/+$/, ''); } catch { return ''; } };
+  const linkedFrom = new Map();
+  for (const e of readLinkEdges(outDir).edges) {
+    if (e.link_type === 'external') continue;
+    const k = key(e.link_url);
+    if (!k) continue;
+    if (!linkedFrom.has(k)) linkedFrom.set(k, new Set());
+    linkedFrom.get(k).add(e.page_url);
+  }
+
+  const rows = [];
+  for (const r of byUrl.values()) {
+    const last = r.hops[r.hops.length - 1] || { url: r.url, status: 0 };
+    const redirects = r.hops.filter(h => h.status >= 300 && h.status < 400);
+    const sources = new Set();
+    for (const h of redirects) for (const s of linkedFrom.get(key(h.url)) || []) sources.add(s);
+    const issues = [];
+    if (redirects.length > maxHops) issues.push('long_chain');
+    if (r.loop) issues.push('loop');
+    if (redirects.some(h => h.status === 302)) issues.push('302');
+    if (sources.size) issues.push('linked');
+    rows.push([
+      r.url,
+      r.loop ? '' : last.url,
+      r.loop ? '' : last.status,
+      redirects.length,
+      r.hops.map(h => `${h.status} ${h.url}`).join(' -> '),
+      issues.join(' | '),
+      sources.size,
+      Array.from(sources).sort().slice(0, 10).join(' | '),
+    ]);
+  }
+  rows.sort((a, b) => b[5].split(' | ').filter(Boolean).length - a[5].split(' | ').filter(Boolean).length || b[6] - a[6] || a[0].localeCompare(b[0]));
+
+  const file = path.join(outDir, 'redirects.csv');
+  writeCsvRows(file, ['url', 'final_url', 'final_status', 'redirects', 'chain', 'issues', 'inlinks', 'linked_from'], rows);
+  return { file, rows: rows.length, parts: parts.length };
+}
+
+// Add the merged files to summary.txt (written earlier by the reports pass)
+function appendSummary(outDir, results) {
+  const lines = [];
+  const pad = (s) => (s + ':').padEnd(27, ' ');
+  for (const r of results) {
+    if (!r) continue;
+    const n = r.rows != null ? `${r.rows} rows` : `${r.edges} edges`;
+    lines.push(`${pad(path.basename(r.file))}${r.file} (${n} from ${r.parts} parts)`);
+  }
+  if (!lines.length) return;
+  const file = path.join(outDir, 'summary.txt');
+  let prev = '';
+  try { prev = fs.readFileSync(file, 'utf8'); } catch { prev = '=== SUMMARY ===\n'; }
+  fs.writeFileSync(file, prev.replace(/\n*$/, '\n') + '\n' + lines.join('\n') + '\n', 'utf8');
+}
+
+module.exports = { mergeSiteCatalog, mergeInternalLinks, mergeCrawlTraps, mergeRobotsBlocked, mergeRedirects, appendSummary, readCsvRecords, readLinkEdges, writeCsvRows, csvCell, partFiles };
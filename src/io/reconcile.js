@@ -0,0 +1,102 @@
+// src/io/reconcile.js
+'use strict';
+
+// --reconcile: compare the two discovery sources of one run.
+//   in-sitemap-not-linked.csv   sitemap URLs no crawled page links to (orphan candidates)
+//   linked-not-in-sitemap.csv   in-scope pages the crawl reached or links to, missing from the sitemaps
+//   sitemap-urls-non-200.csv    sitemap URLs that answer with anything but 200 (redirects keep their Location)
+// Inputs (all in outDir): sitemap-urls.ndjson, reconcile-crawled.part*.json (each worker's crawl result)
+// and the link graph (internal-links.ndjson, or the part files when it hasn't been merged).
+// inlinks = distinct pages linking to the URL anywhere in the graph, self links excluded.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeUrl } = require('../match/normalize');
+const { readSitemapEntries } = require('../discover/sitemap');
+const { createProber } = require('../utils/probe');
+const { partFiles, readLinkEdges, writeCsvRows } = require('./merge-parts');
+
+/**
+ * Write the three reconciliation CSVs. Returns [{ file, rows, parts }] (for appendSummary),
+ * or null when the run has no sitemap entries or no crawl result to compare.
+ */
+async function writeReconciliation(outDir, { keepPageParam = false, scope = null, prober = null, log = null } = {}) {
+  const key = (u) => { try { return normalizeUrl(u, { keepPageParam }).replace(/\/+$/, ''); } catch { return ''; } };
+  const warn = (msg, extra) => { if (log) try { log.warn(msg, extra || {}); } catch {} };
+
+  const entries = readSitemapEntries(path.join(outDir, 'sitemap-urls.ndjson'));
+  const crawledParts = partFiles(outDir, /^reconcile-crawled\.part\d+\.json$/i);
+  if (!entries.length || !crawledParts.length) {
+    warn('reconcile/skipped', { sitemapUrls: entries.length, crawlParts: crawledParts.length });
+    return null;
+  }
+
+  const crawled = new Set();
+  for (const f of crawledParts) {
+    try { for (const u of JSON.parse(fs.readFileSync(path.join(outDir, f), 'utf8'))) { const k = key(u); if (k) crawled.add(k); } } catch {}
+  }
+
+  // link graph: target -> sources (all pages), and which targets crawled pages link to
+  const inlinks = new Map();
+  const linkedFromCrawl = new Set();
+  for (const e of readLinkEdges(outDir).edges) {
+    if (e.link_type === 'external') continue;
+    const from = key(e.page_url), to = key(e.link_url);
+    if (!from || !to || from === to) continue;
+    if (!inlinks.has(to)) inlinks.set(to, new Set());
+    inlinks.get(to).add(from);
+    if (crawled.has(from)) linkedFromCrawl.add(to);
+  }
+  if (!inlinks.size) warn('reconcile/no-link-graph', { hint: 'inlink counts need links (--linksMode lite or full)' });
+  const inCount = (k) => (inlinks.get(k) || new Set()).size;
+
+  const sitemap = new Map();
+  for (const e of entries) { const k = key(e.url); if (k && !sitemap.has(k)) sitemap.set(k, e); }
+
+  const results = [];
+  const parts = crawledParts.length;
+
+  // orphan candidates: never reached by the crawl and no crawled page links to them
+  const orphans = [];
+  for (const [k, e] of sitemap) {
+    if (crawled.has(k) || linkedFromCrawl.has(k)) continue;
+    orphans.push([e.url, inCount(k), e.lastmod || '', e.sitemap || '']);
+  }
+  orphans.sort((a, b) => a[0].localeCompare(b[0]));
+  const orphanFile = path.join(outDir, 'in-sitemap-not-linked.csv');
+  writeCsvRows(orphanFile, ['url', 'inlinks', 'lastmod', 'sitemap'], orphans);
+  results.push({ file: orphanFile, rows: orphans.length, parts });
+
+  // unlisted: crawled pages + their in-scope link targets that no sitemap mentions
+  const unlisted = [];
+  for (const k of new Set([...crawled, ...linkedFromCrawl])) {
+    if (sitemap.has(k)) continue;
+    if (scope && !scope.allows(k)) continue;
+    unlisted.push([k, inCount(k), crawled.has(k) ? 'yes' : 'no']);
+  }
+  unlisted.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const unlistedFile = path.join(outDir, 'linked-not-in-sitemap.csv');
+  writeCsvRows(unlistedFile, ['url', 'inlinks', 'crawled'], unlisted);
+  results.push({ file: unlistedFile, rows: unlisted.length, parts });
+
+  // every sitemap URL gets one status probe (shared rate limit)
+  const p = prober || createProber();
+  const urls = Array.from(sitemap.values()).map(e => e.url);
+  const statuses = await p.probeAll(urls, (r, done, total) => {
+    if (log && done % 500 === 0) try { log.info('reconcile/probe', { done, total }); } catch {}
+  });
+  const bad = [];
+  for (const [k, e] of sitemap) {
+    const r = statuses.get(e.url);
+    if (!r || r.status === 200) continue;
+    bad.push([e.url, r.status || '', r.location || '', r.error || '', inCount(k), e.lastmod || '']);
+  }
+  bad.sort((a, b) => String(a[1]).localeCompare(String(b[1])) || a[0].localeCompare(b[0]));
+  const badFile = path.join(outDir, 'sitemap-urls-non-200.csv');
+  writeCsvRows(badFile, ['url', 'status', 'location', 'error', 'inlinks', 'lastmod'], bad);
+  results.push({ file: badFile, rows: bad.length, parts });
+
+  return results;
+}
+
+module.exports = { writeReconciliation };
@@ -0,0 +1,132 @@
+// src/io/redirect-map.js
+'use strict';
+
+// Redirect-map validation (input role redirect_target): a migration CSV of old URL → expected new URL.
+// The input (comma, tab or semicolon separated) is a redirect map when a header names the target column
+// (redirect_target, new_url, destination, expected_url…) or it has 2 columns — and in both cases the
+// old and target columns are URL-ish (lib/shape-sniff.js redirectMapColumns). Relative old URLs resolve
+// against --base, relative targets against their old URL.
+// Each old URL is traced hop by hop (HEAD/GET, one shared rate limit, see utils/probe.js) instead of
+// letting a client follow redirects blindly, and redirect-validation.csv gets one row per input row:
+//   pass          one 301 straight to the expected URL
+//   wrong_target  the chain ends somewhere else
+//   chain         more than one redirect before the expected URL
+//   non_301       the first hop is a 302/303/307/308
+//   404           the old URL (or the target it reaches) answers 404/410
+//   no_redirect   the old URL answers 2xx itself
+//   error         network error, loop, too many hops or another 4xx/5xx
+// result is the first issue in that order (after error / 404 / no_redirect); issues lists them all.
+
+const fs = require('fs');
+const path = require('path');
+const { readCsvRecords, writeCsvRows } = require('./merge-parts');
+const { stripBOM, detectDelimiter, isUrlish, redirectMapColumns } = require('../../lib/shape-sniff');
+const { createProber } = require('../utils/probe');
+
+const resolve = (u, against) => { try { return new URL(String(u || '').trim(), against).toString(); } catch { return ''; } };
+
+// comparable form: no fragment, no trailing slash on the path (host case is normalized by URL)
+function sameUrl(a, b) {
+  const canon = (u) => {
+    try {
+      const x = new URL(u);
+      x.hash = '';
+      x.pathname = x.pathname.replace(/\/+$/, '') || '/';
+      return x.toString();
+    } catch { return String(u || ''); }
+  };
+  return canon(a) === canon(b);
+}
+
+/**
+ * Read a redirect map. -> { rows: [{ row, oldUrl, expectedUrl }], by: 'header' | 'shape' },
+ * or null when the file isn't one (a title/description CSV, a URL list…).
+ */
+function readRedirectMap(file) {
+  let records;
+  try { records = readCsvRecords(file, detectDelimiter(stripBOM(fs.readFileSync(file, 'utf8')))); } catch { return null; }
+
+  const cols = redirectMapColumns(records);
+  if (!cols) return null;
+  const by = cols.header ? 'header' : 'shape';
+  const start = cols.header || !isUrlish(records[0][cols.source]) ? 1 : 0; // skip a header row
+
+  const rows = [];
+  for (let i = start; i < records.length; i++) {
+    const oldUrl = String(records[i][cols.source] || '').trim();
+    const expectedUrl = String(records[i][cols.target] || '').trim();
+    if (oldUrl || expectedUrl) rows.push({ row: i + 1, oldUrl, expectedUrl });
+  }
+  return { rows, by };
+}
+
+function classify(expected, t) {
+  const issues = [];
+  const first = t.hops[0] || { status: 0 };
+  const last = t.hops[t.hops.length - 1] || first;
+  const redirects = t.hops.filter(h => h.status >= 300 && h.status < 400).length;
+  const gone = (s) => s === 404 || s === 410;
+
+  if (t.error) issues.push('error');
+  else if (gone(first.status)) issues.push('404');
+  else if (first.status >= 200 && first.status < 300) issues.push('no_redirect');
+  else if (!(first.status >= 300 && first.status < 400)) issues.push('error');
+  else {
+    if (!sameUrl(t.finalUrl, expected)) issues.push('wrong_target');
+    else if (gone(last.status)) issues.push('404');
+    else if (last.status >= 400) issues.push('error');
+    if (redirects > 1) issues.push('chain');
+    if (first.status !== 301) issues.push('non_301');
+  }
+  return { result: issues[0] || 'pass', issues, redirects, last };
+}
+
+/**
+ * Validate every row of a redirect map and write redirect-validation.csv (input order).
+ * -> { file, rows, parts, counts } for appendSummary, or null when the file isn't a redirect map.
+ */
+async function validateRedirectMap(inputFile, outDir, { base, prober = null, log = null } = {}) {
+  const map = readRedirectMap(inputFile);
+  if (!map) return null;
+  if (log) try { log.info('redirects/map', { rows: map.rows.length, detectedBy: map.by }); } catch {}
+
+  const items = map.rows.map(r => {
+    const oldUrl = resolve(r.oldUrl, base);
+    return { ...r, oldAbs: oldUrl, expectedAbs: oldUrl ? resolve(r.expectedUrl, oldUrl) : '' };
+  });
+
+  const p = prober || createProber();
+  const traces = await p.probeAll(items.map(i => i.oldAbs).filter(Boolean), (r, done, total) => {
+    if (log && done % 200 === 0) try { log.info('redirects/validate', { done, total }); } catch {}
+  }, { follow: true });
+
+  const counts = {};
+  const rows = items.map(i => {
+    const t = i.oldAbs ? traces.get(i.oldAbs) : null;
+    if (!t || !i.expectedAbs) {
+      counts.error = (counts.error || 0) + 1;
+      return [i.row, i.oldUrl, i.expectedUrl, 'error', 'error', '', '', '', '', '', !i.oldAbs ? 'bad old url' : 'bad expected url'];
+    }
+    const c = classify(i.expectedAbs, t);
+    counts[c.result] = (counts[c.result] || 0) + 1;
+    return [
+      i.row,
+      i.oldAbs,
+      i.expectedAbs,
+      c.result,
+      c.issues.join(' | '),
+      t.hops[0] ? t.hops[0].status : '',
+      t.finalUrl,
+      c.last.status || '',
+      c.redirects,
+      t.hops.map(h => `${h.status} ${h.url}`).join(' -> '),
+      t.error || '',
+    ];
+  });
+
+  const file = path.join(outDir, 'redirect-validation.csv');
+  writeCsvRows(file, ['row', 'old_url', 'expected_url', 'result', 'issues', 'status', 'final_url', 'final_status', 'redirects', 'chain', 'error'], rows);
+  return { file, rows: rows.length, parts: 1, counts };
+}
+
+module.exports = { readRedirectMap, validateRedirectMap };
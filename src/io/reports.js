@@ -277,6 +277,10 @@ async function writeReports(cfg, pages, rows) {
   // Summary (only list what we actually wrote)
   const lines = ['=== SUMMARY ==='];
 
+  lines.push(`Links mode: ${cfg.linksMode || 'full'}`);
+  // effective discovery scope (pathPrefix, include/exclude rules, maxDepth)
+  if (cfg.scope && cfg.scope.describe) lines.push(...cfg.scope.describe());
+
   lines.push(`Duplicate titles detected: ${duplicateRows.length}`);
   lines.push(`duplicate-titles.csv:      ${out('duplicate-titles.csv')}`);
   if (fs.existsSync(out('duplicate-titles.txt'))) {
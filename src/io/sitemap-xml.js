@@ -0,0 +1,135 @@
+// src/io/sitemap-xml.js
+'use strict';
+
+// "sitemap" output: sitemaps.org XML built from the run's own results.
+//   URLs      urls-final.txt (the run's page set; falls back to the fetched pages), each resolved to
+//             the page fetched for it (after redirects); kept only when it answered 200, has no noindex
+//             (robots/googlebot meta or X-Robots-Tag) and is its own canonical (or declares none)
+//   lastmod   the Last-Modified response header (--sitemapLastmod)
+//   hreflang  the page's <link rel="alternate" hreflang> set, else the one its source sitemap listed
+//             (--sitemapHreflang)
+// One sitemap.xml up to 50,000 URLs / 50 MB; beyond that sitemap-1.xml, sitemap-2.xml… plus a
+// sitemap_index.xml whose <loc>s sit under --sitemapBaseUrl (default: the site's origin).
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeUrl } = require('../match/normalize');
+
+const MAX_URLS_PER_FILE = 50000;
+const MAX_BYTES_PER_FILE = 50 * 1024 * 1024;
+const NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+const xmlEscape = (s) => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Last-Modified (HTTP date) -> W3C datetime, '' when unparseable
+function w3cDate(v) {
+  const t = Date.parse(String(v || ''));
+  return Number.isFinite(t) ? new Date(t).toISOString().replace(/\.\d{3}Z$/, 'Z') : '';
+}
+
+function readUrlList(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split(/\r?\n/).map(s => s.trim()).filter(s => /^https?:\/\//i.test(s));
+  } catch { return null; }
+}
+
+function urlEntry(e, { hreflang, lastmod }) {
+  const lines = [`  <url>`, `    <loc>${xmlEscape(e.loc)}</loc>`];
+  if (lastmod && e.lastmod) lines.push(`    <lastmod>${e.lastmod}</lastmod>`);
+  if (hreflang) {
+    for (const a of e.alternates) {
+      lines.push(`    <xhtml:link rel="alternate" hreflang="${xmlEscape(a.hreflang)}" href="${xmlEscape(a.href)}"/>`);
+    }
+  }
+  lines.push(`  </url>`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write sitemap.xml (or sitemap-N.xml + sitemap_index.xml) into outDir.
+ * -> { file, rows, parts, files, excluded: { notFetched, status, noindex, canonicalized } }
+ *    (file/rows/parts for appendSummary), or null when no URL qualifies.
+ */
+function writeSitemapXml(outDir, pages, { keepPageParam = false, baseUrl = '', hreflang = false, lastmod = false, log = null } = {}) {
+  const key = (u) => { try { return normalizeUrl(u, { keepPageParam }).replace(/\/+$/, ''); } catch { return ''; } };
+
+  const byKey = new Map();
+  for (const p of pages || []) { const k = key(p && p.url); if (k && !byKey.has(k)) byKey.set(k, p); }
+  for (const p of pages || []) { const k = key(p && p.redirectedFrom); if (k && !byKey.has(k)) byKey.set(k, p); } // listed URL -> page it redirected to
+
+  const listed = readUrlList(path.join(outDir, 'urls-final.txt'));
+  const candidates = listed && listed.length ? listed : Array.from(byKey.values()).map(p => p.url);
+
+  const excluded = { notFetched: 0, status: 0, noindex: 0, canonicalized: 0 };
+  const byLoc = new Map();
+  for (const u of candidates) {
+    const k = key(u);
+    const p = k && byKey.get(k);
+    if (!p) { excluded.notFetched++; continue; }
+    const status = p.status == null ? 200 : Number(p.status); // pages cached before status was recorded rendered fine
+    if (status !== 200) { excluded.status++; continue; }
+    if (p.noindex) { excluded.noindex++; continue; }
+    if (p.canonical && key(p.canonical) !== key(p.url)) { excluded.canonicalized++; continue; }
+    if (byLoc.has(p.url)) continue;
+    const alternates = (p.alternates && p.alternates.length ? p.alternates : (p.sitemap && p.sitemap.alternates) || [])
+      .filter(a => a && a.hreflang && /^https?:\/\//i.test(a.href || ''));
+    byLoc.set(p.url, { loc: p.url, lastmod: w3cDate(p.lastModified), alternates });
+  }
+
+  // stale files from an earlier, bigger run would otherwise sit next to the new set
+  try {
+    for (const f of fs.readdirSync(outDir)) {
+      if (/^sitemap(-\d+)?\.xml$|^sitemap_index\.xml$/i.test(f)) fs.unlinkSync(path.join(outDir, f));
+    }
+  } catch {}
+
+  const entries = Array.from(byLoc.values()).sort((a, b) => a.loc.localeCompare(b.loc));
+  if (log) try { log.info('sitemap/xml', { urls: entries.length, ...excluded }); } catch {}
+  if (!entries.length) return null;
+
+  const head = `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="${NS}"${hreflang ? ` xmlns:xhtml="${XHTML_NS}"` : ''}>\n`;
+  const tail = `</urlset>\n`;
+  const budget = MAX_BYTES_PER_FILE - Buffer.byteLength(head + tail);
+
+  const chunks = [];
+  let cur = [], bytes = 0;
+  for (const e of entries) {
+    const xml = urlEntry(e, { hreflang, lastmod });
+    const n = Buffer.byteLength(xml);
+    if (cur.length && (cur.length >= MAX_URLS_PER_FILE || bytes + n > budget)) { chunks.push(cur); cur = []; bytes = 0; }
+    cur.push(xml);
+    bytes += n;
+  }
+  if (cur.length) chunks.push(cur);
+
+  if (chunks.length === 1) {
+    const file = path.join(outDir, 'sitemap.xml');
+    fs.writeFileSync(file, head + chunks[0].join('') + tail, 'utf8');
+    return { file, rows: entries.length, parts: 1, files: [file], excluded };
+  }
+
+  const files = chunks.map((c, i) => {
+    const file = path.join(outDir, `sitemap-${i + 1}.xml`);
+    fs.writeFileSync(file, head + c.join('') + tail, 'utf8');
+    return file;
+  });
+  const root = String(baseUrl || '').replace(/\/*$/, '/');
+  const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const index = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<sitemapindex xmlns="${NS}">`,
+    ...files.map(f => `  <sitemap>\n    <loc>${xmlEscape(root + path.basename(f))}</loc>\n    <lastmod>${now}</lastmod>\n  </sitemap>`),
+    `</sitemapindex>`,
+  ].join('\n') + '\n';
+  const file = path.join(outDir, 'sitemap_index.xml');
+  fs.writeFileSync(file, index, 'utf8');
+  return { file, rows: entries.length, parts: files.length, files: [file, ...files], excluded };
+}
+
+module.exports = { writeSitemapXml };
@@ -17,33 +17,49 @@ function stopRequested(outDir) {
 }
 
 
-const { extractInternalLinks } = require('./extract/links');
+const { extractInternalLinks, extractLinksFromHtml } = require('./extract/links');
+const { parseMetaFromHtml, parseIndexingFromHtml, isNoindex } = require('./extract/meta');
+const { looksClientRendered } = require('./extract/html');
 const { parseCsv } = require('./io/csv');
 const { writeReports, writeTreeReport } = require('./io/reports');
+const { mergeCrawlTraps, mergeRobotsBlocked, mergeRedirects, appendSummary } = require('./io/merge-parts');
+const { validateRedirectMap } = require('./io/redirect-map');
+const { writeReconciliation } = require('./io/reconcile');
+const { writeSitemapXml } = require('./io/sitemap-xml');
+const { writeBrokenLinks, writeExternalLinks } = require('./io/link-check');
 
-const { loadCache, saveCache } = require('./cache/file-cache');
+const { openCacheStore, dropCacheStore } = require('./cache/ndjson-store');
 const { nowIso, daysSince } = require('./utils/time');
 const { normalizeText, normalizeUrl } = require('./match/normalize');
 
-const { discoverBySitemap } = require('./discover/sitemap');
+const { discoverSitemapEntries, writeSitemapEntries, readSitemapEntries } = require('./discover/sitemap');
 const { crawlSite } = require('./discover/crawler');
+const { createScope } = require('./discover/scope');
+const { loadRobots, applyCrawlDelay, createBlockedLog } = require('./discover/robots');
 const { makeLogger } = require('./utils/log');
+const { acquireLock, releaseLock } = require('./utils/locks');
 
 
 function sha1(s) { return crypto.createHash('sha1').update(String(s)).digest('hex'); }
 
 // simple file-lock per URL; returns { file, release() } or null if already claimed
+// (a lock left by a dead worker, or older than MC_LOCK_TTL_SEC, is reclaimed instead of skipping the URL)
 function claimUrl(locksDir, key) {
-  try {
-    fs.mkdirSync(locksDir, { recursive: true });
-    const f = path.join(locksDir, `${sha1(key)}.lock`);
-    const fd = fs.openSync(f, 'wx'); // exclusive create
-    fs.writeFileSync(fd, JSON.stringify({ pid: process.pid, key, at: new Date().toISOString() }) + '\n');
-    return { file: f, release: () => { try { fs.closeSync(fd); fs.unlinkSync(f); } catch {} } };
-  } catch (e) {
-    if (e && e.code === 'EEXIST') return null;
-    return null;
-  }
+  const f = path.join(locksDir, `${sha1(key)}.lock`);
+  const fd = acquireLock(f, { key }, { kind: 'url' });
+  if (fd < 0) return null;
+  return { file: f, release: () => releaseLock(fd, f) };
+}
+
+// A cached catalog entry as a report page (status / indexing fields feed the sitemap output;
+// entries cached before they were recorded have none and count as indexable 200s)
+function pageFromCache(p) {
+  return {
+    url: p.url, title: p.title, description: p.description, titleN: p.titleN, links: p.links || [],
+    status: p.status, lastModified: p.lastModified || '',
+    canonical: p.canonical || '', noindex: !!p.noindex, alternates: p.alternates || [],
+    ...(p.redirectedFrom ? { redirectedFrom: p.redirectedFrom } : {})
+  };
 }
 
 // ------------------- Input-shape sniffers -------------------
@@ -166,7 +182,7 @@ async function run(cfg) {
   const tag = (cfg.workerId ?? cfg.shardIndex ?? 1);
   const cacheDir = path.join(cfg.outDir || 'dist', 'cache');
   const locksDir = cfg.locksDir || path.join(cfg.outDir || 'dist', 'locks');
-  cfg.cachePath = cfg.cachePath || path.join(cacheDir, `fetch-cache.part${tag}.json`);
+  cfg.cachePath = cfg.cachePath || path.join(cacheDir, 'fetch-cache.ndjson');
   cfg.locksDir = locksDir;
 
   // telemetry: mark worker row
@@ -182,6 +198,11 @@ async function run(cfg) {
   fs.mkdirSync(path.dirname(cfg.cachePath), { recursive: true });
 
   const baseOrigin = new URL(cfg.base).origin;
+  // pathPrefix + include/exclude rules (index.js builds it from the flags; callers of run() may not)
+  if (!cfg.scope) cfg.scope = createScope({ pathPrefix: cfg.pathPrefix, rulesRoot: cfg.sectionRoot });
+  const scope = cfg.scope;
+  // url -> { lastmod, changefreq, priority, alternates } for pages listed in a sitemap (carried into pages.part*.json)
+  const sitemapMeta = new Map();
   const maxCrawlPagesRaw = Number.isFinite(cfg.maxCrawlPages) ? Number(cfg.maxCrawlPages) : 50000;
     // Interpret 0 or negative as "no cap"
     const maxCrawlPages = (maxCrawlPagesRaw <= 0 ? Number.POSITIVE_INFINITY : maxCrawlPagesRaw);
@@ -191,13 +212,21 @@ async function run(cfg) {
     pathPrefix: cfg.pathPrefix,
     keepPageParam: !!cfg.keepPageParam,
     sameOrigin: cfg.sameOrigin !== false,
+    include: scope.include,
+    exclude: scope.exclude,
+    maxDepth: scope.maxDepth,
     rebuildLinks: !!cfg.rebuildLinks,
-    dropCache: !!cfg.dropCache
+    dropCache: !!cfg.dropCache,
+    metaStrategy: cfg.metaStrategy || 'browser',
+    linksMode: cfg.linksMode || 'full'
   });
 
   // Optional: drop cache + reset locks
   if (cfg.dropCache) {
-    try { fs.unlinkSync(cfg.cachePath); log.info('cache dropped', { cache: cfg.cachePath }); } catch {}
+    // the store is shared: under the orchestrator it was dropped once before the workers started
+    if (!cfg.deferReports) {
+      try { dropCacheStore(cfg.cachePath); log.info('cache dropped', { cache: cfg.cachePath }); } catch {}
+    }
     try { fs.rmSync(cfg.locksDir, { recursive: true, force: true }); } catch {}
     fs.mkdirSync(cfg.locksDir, { recursive: true });
   }
@@ -233,6 +262,18 @@ async function run(cfg) {
     log.info('Loaded shard URLs from file', { file: cfg.urlsFile, count: urls.length });
   }
 
+  // redirect map (input role redirect_target): validate the old → new URLs and stop — nothing to render
+  if (!usingUrlsFile && inputExists && !cfg.mergeReports && !cfg.reportsOnly) {
+    const res = await validateRedirectMap(cfg.input, cfg.outDir, { base: cfg.base, log });
+    if (res) {
+      appendSummary(cfg.outDir, [res]);
+      log.info('report', { file: path.basename(res.file), rows: res.rows, ...res.counts });
+      log.info('done', { redirectMap: true, elapsed_ms: Date.now() - t0 });
+      try { telemetry.threadStatus({ workerId: cfg.workerId, phase: 'done', url: '' }); } catch {}
+      return;
+    }
+  }
+
   // ------------------- Input mode resolution -------------------
   let sitemapMode = false;            // explicit root-URL list (3+ col or 1-col URLs)
   let explicitInputUrls = [];
@@ -327,14 +368,13 @@ async function run(cfg) {
     uniqueCandidates: explicitInputUrls?.length ?? 0
   });
 
-  // normalize + same-origin + pathPrefix + canonicalize
+  // normalize + same-origin + scope (pathPrefix, include/exclude) + canonicalize
   urls = Array.from(new Set(explicitInputUrls.map(h => {
     try {
       const u0 = new URL(h, baseOrigin);
       if (u0.origin !== baseOrigin) return null; // same-site only
       const norm = normalizeUrl(u0.toString(), { keepPageParam: cfg.keepPageParam });
-      const u = new URL(norm);
-      if (cfg.pathPrefix && !u.pathname.startsWith(cfg.pathPrefix)) return null;
+      if (!scope.allows(norm)) return null;
       return norm.replace(/\/+$/, '');
     } catch { return null; }
   }).filter(Boolean)));
@@ -345,12 +385,39 @@ async function run(cfg) {
 
 
   // If still no URLs, do normal discovery: sitemap → (optional) fallback crawl
-if (!usingUrlsFile && !sitemapMode) {
+  // (reportsOnly / mergeReports: the page set comes from cache / worker parts instead)
+if (!usingUrlsFile && !sitemapMode && !cfg.reportsOnly && !cfg.mergeReports) {
+  // robots.txt (--robots report|obey|off): Sitemap: seeds, Crawl-delay, Disallow hits -> robots-blocked.csv
+  const robotsMode = String(cfg.robots || 'report').toLowerCase();
+  let robots = null, robotsBlocked = null;
+  const robotsPartFile = path.join(cfg.outDir, `robots-blocked.part${tag}.json`);
+  if (robotsMode !== 'off') {
+    robots = await loadRobots(cfg.base, { cacheFile: path.join(cfg.outDir, 'robots.txt'), log });
+    robotsBlocked = createBlockedLog({ enforce: robotsMode === 'obey' });
+    try { fs.unlinkSync(robotsPartFile); } catch {}
+    const delayMs = applyCrawlDelay(robots);
+    log.info('robots', { mode: robotsMode, status: robots.status, source: robots.source, group: robots.group || '(none)', rules: robots.rules, sitemaps: robots.sitemaps.length, politeDelayMs: delayMs });
+  }
+
   log.info('discover/sitemap/start', { base: cfg.base, pathPrefix: cfg.pathPrefix || '' });
      let discovered = [];
+  let sitemapEntries = [];
   try {
-    discovered = await discoverBySitemap(cfg.base);
-    log.info('discover/sitemap/done', { discovered: discovered.length, sample: (discovered || []).slice(0,5) });
+    // the orchestrator expands the sitemaps once and hands every worker the same entries
+    if (cfg.sitemapFile && fs.existsSync(cfg.sitemapFile)) {
+      sitemapEntries = readSitemapEntries(cfg.sitemapFile);
+    } else {
+      const sm = await discoverSitemapEntries(cfg.base, {
+        sitemaps: robots ? robots.sitemaps : [],
+        maxUrls: cfg.sitemapMaxUrls || undefined,
+        log
+      });
+      sitemapEntries = sm.entries;
+      writeSitemapEntries(path.join(cfg.outDir, 'sitemap-urls.ndjson'), sitemapEntries);
+      if (sm.capped) log.warn('sitemap/capped', { maxUrls: cfg.sitemapMaxUrls || 'default', kept: sitemapEntries.length });
+    }
+    discovered = sitemapEntries.map(e => e.url);
+    log.info('discover/sitemap/done', { discovered: discovered.length, fromFile: !!cfg.sitemapFile, sample: (discovered || []).slice(0,5) });
     
     try { telemetry.event({ type: 'sitemap/discovered', count: discovered.length }); } catch {}
   } catch (e) {
@@ -364,9 +431,17 @@ if (!usingUrlsFile && !sitemapMode) {
     'utf8'
   );
 
-  if (!discovered.length) {
+  // --reconcile: crawl even when the sitemap had pages and keep both sources. Every worker reads the
+  // same sitemap list, so each keeps only its share of it for the fetch stage.
+  let sitemapShare = [];
+  if (cfg.reconcile) {
+    const n = Math.max(1, Number(cfg.workerTotal) || 1), me = (Number(cfg.workerId) || 1) - 1;
+    sitemapShare = discovered.filter((_, i) => i % n === me % n);
+  }
+
+  if (!discovered.length || cfg.reconcile) {
     log.info('discover/crawl/start', {
-      msg: 'No usable pages from sitemap; crawling (fallback)…',
+      msg: cfg.reconcile ? 'Reconcile mode: crawling alongside the sitemap…' : 'No usable pages from sitemap; crawling (fallback)…',
       partIndex: cfg.partIndex, partTotal: cfg.partTotal, bucketParts: cfg.bucketParts
     });
 
@@ -380,11 +455,13 @@ if (!usingUrlsFile && !sitemapMode) {
       return route.continue();
     });
 
+    if (cfg.reconcile) discovered = sitemapShare; // what stays if the crawl fails
+
     // (optional) mark crawl start so the UI can show a spinner
     try { telemetry.event({ type: 'crawl/start' }); } catch {}
 
     try {
-      discovered = await crawlSite(context2, cfg.base, {
+      const crawled = await crawlSite(context2, cfg.base, {
         pathPrefix: cfg.pathPrefix,
         maxPages: maxCrawlPages,
         keepPageParam: cfg.keepPageParam,
@@ -395,13 +472,26 @@ if (!usingUrlsFile && !sitemapMode) {
         partIndex: Number(cfg.partIndex || 0),
         partTotal: Number(cfg.partTotal || 1),
         bucketParts: cfg.bucketParts,
+        coordinatorUrl: cfg.coordinatorUrl,
+        scope,
+        robots,
+        robotsBlocked,
+        sectionRoot: cfg.sectionRoot,
+        sectionQuota: cfg.sectionQuota,
         outDir: cfg.outDir,
         workerId: cfg.workerId,
         workerTotal: cfg.workerTotal,
+        linksMode: cfg.linksMode,
       });
+      discovered = crawled;
+      if (cfg.reconcile) {
+        // what the crawl alone reached, for in-sitemap-not-linked / linked-not-in-sitemap
+        writeJson(path.join(cfg.outDir, `reconcile-crawled.part${tag}.json`), crawled);
+        discovered = sitemapShare.concat(crawled);
+      }
 
       // emit *after* crawlSite returns, with the actual count
-      log.info('discover/crawl/done', { discovered: discovered.length, sample: (discovered || []).slice(0,5) });
+      log.info('discover/crawl/done', { discovered: discovered.length, crawled: crawled.length, sample: (discovered || []).slice(0,5) });
       
       try { telemetry.event({ type: 'crawl/discovered', count: discovered.length }); } catch {}
     } catch (e) {
@@ -413,24 +503,38 @@ if (!usingUrlsFile && !sitemapMode) {
     }
   }
 
+    // --resume: pages an interrupted attempt already crawled — the shared seen set keeps them out of
+    // the frontier now, so they are carried into this worker's fetch stage (cache makes that cheap)
+    if (cfg.resumeUrlsFile && fs.existsSync(cfg.resumeUrlsFile)) {
+      try {
+        const carried = JSON.parse(fs.readFileSync(cfg.resumeUrlsFile, 'utf8'));
+        discovered = (discovered || []).concat(Array.isArray(carried) ? carried : []);
+        log.info('resume: carried over', { file: path.basename(cfg.resumeUrlsFile), count: carried.length });
+      } catch (e) {
+        log.warn('resume: unreadable resumeUrlsFile', { err: String(e && e.message ? e.message : e) });
+      }
+    }
+
+    const sitemapByUrl = new Map(sitemapEntries.map(e => [e.url, e]));
     urls = Array.from(new Set((discovered || []).map(u => {
       try {
         const abs = new URL(u, baseOrigin).toString();
         const norm = normalizeUrl(abs, { keepPageParam: cfg.keepPageParam });
         const uu = new URL(norm);
         if (cfg.sameOrigin !== false && uu.origin !== baseOrigin) return null;
-        if (cfg.pathPrefix && !uu.pathname.startsWith(cfg.pathPrefix)) return null;
+        if (!scope.allows(uu)) return null; // prefix + include/exclude, for sitemap URLs too
+        const disallowed = robots ? robots.check(uu) : null; // crawled URLs were checked by the crawler already
+        if (disallowed) {
+          robotsBlocked.record(uu.toString(), disallowed, 'sitemap');
+          if (robotsBlocked.enforce) return null;
+        }
+        const sm = sitemapByUrl.get(u);
+        if (sm) sitemapMeta.set(norm.replace(/\/+$/, ''), { lastmod: sm.lastmod, changefreq: sm.changefreq, priority: sm.priority, alternates: sm.alternates });
         return norm.replace(/\/+$/, '');
       } catch { return null; }
     }).filter(Boolean)));
+    if (robotsBlocked) robotsBlocked.save(robotsPartFile);
 
-    // Final scope-to-prefix for output/reporting only
-    if (cfg.pathPrefix) {
-      urls = urls.filter(u => {
-        try { return new URL(u).pathname.startsWith(cfg.pathPrefix); } catch { return false; }
-      });
-
-    } 
     log.info('discover/normalize+scope', { postScope: urls.length, pathPrefix: cfg.pathPrefix || '', sample: urls.slice(0,5) });
     try { fs.writeFileSync(path.join(cfg.outDir, 'urls-after-scope.txt'), urls.join('\n'), 'utf8'); } catch {}
      
@@ -442,7 +546,7 @@ if (!usingUrlsFile && !sitemapMode) {
   // Detect "existence only" from META_ONLY_REPORTS and short-circuit fetch.
   const onlyReports = String(process.env.META_ONLY_REPORTS || '')
     .split(',').map(s => s.trim()).filter(Boolean);
-  const existenceOnly = sitemapMode &&
+  const existenceOnly = sitemapMode && !cfg.reportsOnly && !cfg.mergeReports &&
     onlyReports.length === 1 &&
     (onlyReports[0] === 'existence_csv' || onlyReports[0] === 'existence');
 
@@ -520,6 +624,90 @@ if (!usingUrlsFile && !sitemapMode) {
   }
   // ── /ANCHOR: existence_only_gate_top ─────────────────────────────────────────
 
+  // mergeReports: orchestrator's final pass — tree + shared reports once over every worker's pages.part*.json
+  if (cfg.mergeReports) {
+    const byUrl = new Map();
+    const parts = fs.readdirSync(cfg.outDir).filter(f => /^pages\.part\d+\.json$/i.test(f));
+    for (const f of parts) {
+      try {
+        for (const p of JSON.parse(fs.readFileSync(path.join(cfg.outDir, f), 'utf8'))) {
+          if (p && p.url && !byUrl.has(p.url)) byUrl.set(p.url, p);
+        }
+      } catch (e) {
+        log.warn('mergeReports: unreadable part', { file: f, err: String(e && e.message ? e.message : e) });
+      }
+    }
+    const out = Array.from(byUrl.values());
+    log.info('mergeReports: pages from workers', { parts: parts.length, pages: out.length });
+
+    await writeTreeReport(cfg.outDir, out.map(p => p.url), cfg.pathPrefix || '');
+    await writeSharedReports(out);
+
+    log.info('done', { mergeReports: true, elapsed_ms: Date.now() - t0 });
+    try { telemetry.threadStatus({ workerId: cfg.workerId, phase: 'done', url: '' }); } catch {}
+    return;
+  }
+
+  // reportsOnly: rebuild every report from the cached catalog — no browser, no discovery
+  if (cfg.reportsOnly) {
+    const cache = openCacheStore(cfg.cachePath, { log });
+    let pages = Array.from(cache.values()).filter(p => p && p.url);
+    pages = pages.filter(p => scope.allows(p.url));
+    if (!pages.length) {
+      log.warn('reportsOnly: no cached pages found — run a crawl first', { cache: cfg.cachePath });
+      try { telemetry.threadStatus({ workerId: cfg.workerId, phase: 'done', url: '' }); } catch {}
+      return;
+    }
+
+    const stale = pages.filter(p => !p.lastFetched || daysSince(p.lastFetched) > cfg.cacheTtlDays);
+    if (stale.length) {
+      const oldest = stale.map(p => p.lastFetched || '').sort()[0] || '(unknown)';
+      log.warn('reportsOnly: stale cache entries', {
+        stale: stale.length,
+        total: pages.length,
+        ttlDays: cfg.cacheTtlDays,
+        oldest,
+        sample: stale.slice(0, 5).map(p => p.url)
+      });
+      try { telemetry.event({ type: 'cache/stale', stale: stale.length, total: pages.length, ttlDays: cfg.cacheTtlDays }); } catch {}
+    }
+
+    // existence straight from the cache: seed URL (or the URL it redirected from) → cached status
+    const existenceProbe = new Map();
+    if (sitemapMode) {
+      const byKey = new Map();
+      for (const p of pages) {
+        byKey.set(p.url, p);
+        if (p.redirectedFrom && !byKey.has(p.redirectedFrom)) byKey.set(p.redirectedFrom, p);
+      }
+      const wanted = new Set();
+      let missing = 0;
+      for (const u of explicitInputUrls) {
+        let key;
+        try { key = normalizeUrl(new URL(u, baseOrigin).toString(), { keepPageParam: cfg.keepPageParam }); } catch { continue; }
+        const hit = byKey.get(key) || byKey.get(key.replace(/\/+$/, ''));
+        if (!hit) { missing++; continue; }
+        wanted.add(hit.url);
+        const status = Number(hit.status) || 200; // entries cached before status was recorded were successful renders
+        existenceProbe.set(key, { exists: status < 400, status, final_url: hit.url });
+      }
+      if (missing) log.warn('reportsOnly: input URLs not in cache (reported as not existing)', { missing });
+      pages = pages.filter(p => wanted.has(p.url)); // same page set a crawl of this input would produce
+    }
+
+    const out = pages.map(pageFromCache);
+    log.info('reportsOnly: pages from cache', { pages: out.length, stale: stale.length });
+
+    await writeTreeReport(cfg.outDir, out.map(p => p.url), cfg.pathPrefix || '');
+    await writeSharedReports(out);
+    try { fs.unlinkSync(path.join(cfg.outDir, `internal-links.part${tag}.ndjson`)); } catch {} // rewritten, not appended
+    await writeWorkerParts(out, existenceProbe);
+
+    log.info('done', { reportsOnly: true, elapsed_ms: Date.now() - t0 });
+    try { telemetry.threadStatus({ workerId: cfg.workerId, phase: 'done', url: '' }); } catch {}
+    return;
+  }
+
   // Shard slice (if needed)
   if (cfg.shards > 1) {
     urls.sort();
@@ -552,7 +740,6 @@ if (!usingUrlsFile && !sitemapMode) {
 
   // Empty slice → write empty cache and finish
   if (!urls.length) {
-    saveCache(cfg.cachePath, {});
     log.warn('empty-url-slice', {
       usingUrlsFile,
       sitemapMode,
@@ -605,36 +792,167 @@ if (!usingUrlsFile && !sitemapMode) {
     });
   } catch {}
 
+  // GET that follows redirects itself, so every hop is kept: -> { res, hops: [{ url, status }], loop }
+  // (res is the last response; a loop or a chain over maxHops stops on its last 3xx). Network errors throw.
+  async function requestChain(url, { timeoutMs = 12000, headers, maxHops = 10 } = {}) {
+    const hops = [];
+    const seen = new Set();
+    let cur = url;
+    for (;;) {
+      const res = await context.request.get(cur, { timeout: timeoutMs, maxRedirects: 0, headers });
+      const status = res.status();
+      hops.push({ url: cur, status });
+      seen.add(cur);
+      const loc = status >= 300 && status < 400 ? res.headers().location : '';
+      if (!loc) return { res, hops, loop: false };
+      const next = new URL(loc, cur).toString();
+      if (seen.has(next)) return { res, hops, loop: true };
+      if (hops.length > maxHops) return { res, hops, loop: false };
+      try { await res.dispose(); } catch {}
+      cur = next;
+    }
+  }
+
+  // redirect chain of a browser navigation, from the final response back through redirectedFrom()
+  async function chainOf(res) {
+    const hops = [];
+    try {
+      for (let req = res.request().redirectedFrom(); req; req = req.redirectedFrom()) {
+        const r = await req.response();
+        hops.unshift({ url: req.url(), status: r ? r.status() : 0 });
+      }
+      hops.push({ url: res.url(), status: res.status() });
+    } catch {}
+    return hops;
+  }
+
   // fast HTTP reachability probe (no rendering)
   async function httpProbe(url, timeoutMs = 12000) {
     try {
-      const res = await context.request.get(url, { timeout: timeoutMs, maxRedirects: 5 });
-      return { ok: res.ok(), status: res.status(), finalUrl: res.url() };
+      const { res, hops, loop } = await requestChain(url, { timeoutMs });
+      return { ok: !loop && res.ok(), status: res.status(), finalUrl: hops[hops.length - 1].url, hops, loop };
     } catch {
-      return { ok: false, status: 0, finalUrl: '' };
+      return { ok: false, status: 0, finalUrl: '', hops: [], loop: false };
     }
   }
 
-  const cache = loadCache(cfg.cachePath);
+  // etag / last-modified / hash of the server HTML — lets the next run revalidate instead of re-rendering
+  async function validatorsFrom(res, html) {
+    const v = {};
+    try {
+      const h = res.headers();
+      if (h.etag) v.etag = h.etag;
+      if (h['last-modified']) v.lastModified = h['last-modified'];
+      v.contentHash = sha1(html != null ? html : await res.text());
+    } catch {}
+    return v;
+  }
+
+  // canonical / noindex / hreflang for the sitemap output; X-Robots-Tag counts like a robots meta
+  function indexingFrom(res, fromDom) {
+    const ix = { canonical: '', noindex: false, alternates: [], ...(fromDom || {}) };
+    try { if (isNoindex(res.headers()['x-robots-tag'])) ix.noindex = true; } catch {}
+    return ix;
+  }
+
+  // metaStrategy=http: raw HTML via the context's request API; null => render in the browser instead
+  const metaStrategy = String(cfg.metaStrategy || 'browser').toLowerCase();
+  let viaHttp = 0, httpFallbacks = 0;
+  async function httpFetchMeta(url, timeoutMs = 12000) {
+    let res, hops;
+    try {
+      const chain = await requestChain(url, {
+        timeoutMs,
+        headers: { accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8' }
+      });
+      if (chain.loop) return null; // the browser path fails on it too and its probe records the loop
+      ({ res, hops } = chain);
+    } catch { return null; } // network error → let the browser path retry/probe
+    const status = res.status();
+    const ct = String(res.headers()['content-type'] || '');
+    if (ct && !/html/i.test(ct)) return null;
+    let html = '';
+    try { html = await res.text(); } catch { return null; }
+    const meta = parseMetaFromHtml(html);
+    if (!meta.title || looksClientRendered(html)) return null;
+    return {
+      ok: res.ok(), status, final: hops[hops.length - 1].url, hops, meta, html,
+      validators: await validatorsFrom(res, html),
+      indexing: indexingFrom(res, parseIndexingFromHtml(html, res.url()))
+    };
+  }
+
+  // linksMode: none = no link extraction, lite = static DOM pass only, full = reveal menus + nav recorder
+  const linksMode = ['none', 'lite', 'full'].includes(cfg.linksMode) ? cfg.linksMode : 'full';
+  const LINKS_RANK = { none: 0, lite: 1, full: 2 };
+  // cache entries from before linksMode existed were always full extractions
+  const linksTooThin = (c) => LINKS_RANK[c.linksMode || 'full'] < LINKS_RANK[linksMode];
+
+  const cache = openCacheStore(cfg.cachePath, { log });
   let toFetch = [];
   let fromCache = [];
 
   if (cfg.rebuildLinks) {
     toFetch = urls.slice();
     fromCache = [];
+    const firstFetch = cfg.dropCache ? toFetch.length : toFetch.filter(u => !cache.get(u)).length;
     try {
-    telemetry.event({ type: 'fetch/plan', toFetch: toFetch.length, fromCache: fromCache.length });
+    telemetry.event({ type: 'fetch/plan', toFetch: toFetch.length, fromCache: fromCache.length, revalidated: 0, firstFetch, rerendered: toFetch.length - firstFetch });
   } catch {}
     log.info('REBUILD_LINKS active → fetching all URLs');
   } else {
+    const stale = []; // [url, entry] past the TTL but carrying validators
+    // toFetch = firstFetch (never cached) + refetch (cached, but forced / too thin / expired without
+    // validators) + changed (revalidation failed); only the last two are cached pages re-rendered
+    let firstFetch = 0, refetch = 0;
     for (const u of urls) {
-      const c = cache[u];
-      if (cfg.forceRefresh || !c || daysSince(c.lastFetched) > cfg.cacheTtlDays) toFetch.push(u);
-      else fromCache.push({ url: u, ...c });
+      const c = cfg.dropCache ? undefined : cache.get(u);
+      if (!c) { firstFetch++; toFetch.push(u); }
+      else if (cfg.forceRefresh || linksTooThin(c)) { refetch++; toFetch.push(u); }
+      else if (daysSince(c.lastFetched) <= cfg.cacheTtlDays) fromCache.push({ url: u, ...c });
+      else if (c.etag || c.lastModified || c.contentHash) stale.push([u, c]);
+      else { refetch++; toFetch.push(u); }
+    }
+
+    // Conditional revalidation: one cheap HTTP check per stale page; 304 or same HTML hash → reuse as-is
+    let revalidated = 0, changed = 0;
+    const revalidate = async (u, c) => {
+      const headers = {};
+      if (c.etag) headers['if-none-match'] = c.etag;
+      if (c.lastModified) headers['if-modified-since'] = c.lastModified;
+      try {
+        const res = await context.request.get(u, { timeout: 12000, maxRedirects: 5, headers });
+        if (res.status() === 304) return true;
+        if (!res.ok() || !c.contentHash) return false;
+        return sha1(await res.text()) === c.contentHash;
+      } catch { return false; }
+    };
+    const rconc = Math.max(1, Number(cfg.concurrency || 4));
+    for (let i = 0; i < stale.length; i += rconc) {
+      if (stopRequested(cfg.outDir)) { refetch += stale.length - i; toFetch.push(...stale.slice(i).map(([u]) => u)); break; }
+      const batch = stale.slice(i, i + rconc);
+      const same = await Promise.all(batch.map(([u, c]) => revalidate(u, c)));
+      batch.forEach(([u, c], k) => {
+        if (!same[k]) { changed++; toFetch.push(u); return; }
+        revalidated++;
+        const entry = { ...c, lastFetched: nowIso() };
+        cache.set(u, entry);
+        fromCache.push({ url: u, ...entry });
+      });
     }
-    log.info('Catalog reuse', { cached: fromCache.length, toFetch: toFetch.length });
+    if (revalidated) cache.flush();
+
+    log.info('Catalog reuse', { cached: fromCache.length - revalidated, revalidated, changed, firstFetch, refetch, toFetch: toFetch.length });
     try {
-      telemetry.event({ type: 'fetch/plan', toFetch: toFetch.length, fromCache: fromCache.length });
+      telemetry.event({
+        type: 'fetch/plan',
+        toFetch: toFetch.length,
+        fromCache: fromCache.length,
+        revalidated,
+        changed,
+        firstFetch,
+        rerendered: changed + refetch
+      });
     } catch {}
     log.info('fetch/plan/details', {
       toFetchSample: toFetch.slice(0, 5),
@@ -646,6 +964,43 @@ if (!usingUrlsFile && !sitemapMode) {
   const existenceProbe = new Map(); // normalized_input_url -> { exists, status, final_url }
 
   const out = [];
+
+  // redirect chains this worker saw (first URL -> hops), saved as redirects.part<N>.json for redirects.csv
+  const redirectLog = new Map();
+  function noteRedirects(hops, loop = false) {
+    if (!Array.isArray(hops) || (hops.length < 2 && !loop)) return;
+    const url = hops[0].url;
+    if (!redirectLog.has(url)) redirectLog.set(url, { url, hops, loop: !!loop });
+  }
+
+  // Keep one fetched page (both strategies): catalog row, cache entry, existence hit
+  function recordPage(seedKey, finalKey, status, ok, meta, links, validators = {}, indexing = {}, hops = []) {
+    try {
+      telemetry.event({ type: 'visited', url: finalKey });
+      telemetry.bump('internalEdges', Array.isArray(links) ? links.length : 0);
+    } catch {}
+
+    const titleN = normalizeText(meta.title);
+    const linksArr = Array.isArray(links) ? links : [];
+    const normLinks = linksArr.map(l => (typeof l === 'string'
+      ? { url: l, text: '', kind: 'extracted' }
+      : l));
+    const rec = {
+      url: finalKey, title: meta.title, description: meta.description, titleN, links: normLinks,
+      status, lastModified: validators.lastModified || '',
+      canonical: indexing.canonical || '', noindex: !!indexing.noindex, alternates: indexing.alternates || []
+    };
+    if (seedKey !== finalKey) rec.redirectedFrom = seedKey;
+    if (hops.length > 1) rec.redirectChain = hops;
+    out.push(rec);
+    const entry = { ...rec, ...validators, linksMode, lastFetched: nowIso() };
+    cache.set(finalKey, entry);
+
+    if (sitemapMode) {
+      existenceProbe.set(seedKey, { exists: !!ok, status, final_url: finalKey });
+    }
+  }
+
   const conc = Math.max(1, Number(cfg.concurrency || 4));
   for (let i = 0; i < toFetch.length; i += conc) {
   if (stopRequested(cfg.outDir)) {
@@ -660,6 +1015,48 @@ if (!usingUrlsFile && !sitemapMode) {
       if (!seedClaim) return; // someone else has it
 
       let finalClaim;
+
+      if (metaStrategy === 'http') {
+        try { telemetry.threadStatus({ workerId: (cfg.workerId ?? cfg.shardIndex ?? 1), phase: 'fetch:http', url: seedUrl }); } catch {}
+        const fast = await httpFetchMeta(seedUrl);
+        if (fast) {
+          viaHttp++;
+          try {
+            noteRedirects(fast.hops);
+            const finalKey = normalizeUrl(fast.final || seedUrl, { keepPageParam: cfg.keepPageParam });
+            if (finalKey !== seedKey) {
+              finalClaim = claimUrl(cfg.locksDir, finalKey);
+              if (!finalClaim) return; // someone else already processed final URL
+            }
+            if (cfg.sameOrigin !== false && new URL(finalKey).origin !== baseOrigin) {
+              if (sitemapMode) existenceProbe.set(seedKey, { exists: false, status: fast.status, final_url: finalKey });
+              return;
+            }
+            try {
+              const segs = new URL(finalKey).pathname.replace(/^\/+|\/+$/g, '').split('/').filter(Boolean);
+              if (segs.length && telemetry.treeAdd) telemetry.treeAdd(segs);
+            } catch {}
+            const links = linksMode === 'none' ? [] : extractLinksFromHtml(fast.html, fast.final || seedUrl, {
+              origin: baseOrigin,
+              pathPrefix: cfg.pathPrefix,
+              scope,
+              keepPageParam: cfg.keepPageParam,
+              max: 50000,
+            });
+            recordPage(seedKey, finalKey, fast.status, fast.ok, fast.meta, links, fast.validators, fast.indexing, fast.hops);
+          } catch (e) {
+            if (sitemapMode) existenceProbe.set(seedKey, { exists: false, status: 0, final_url: '' });
+            log.warn('fetch fail', { url: seedUrl, strategy: 'http', err: String(e && e.message ? e.message : e) });
+          } finally {
+            try { if (finalClaim) finalClaim.release(); } catch {}
+            try { seedClaim.release(); } catch {}
+            try { telemetry.threadStatus({ workerId: (cfg.workerId ?? cfg.shardIndex ?? 1), phase: 'fetched', url: seedUrl }); } catch {}
+          }
+          return;
+        }
+        httpFallbacks++; // no <title> or a client-rendered shell → full render below
+      }
+
       const page = await context.newPage();
       // === LOG: Playwright signal for hard failures ===
        page.on('requestfailed', req => {
@@ -690,6 +1087,10 @@ if (!usingUrlsFile && !sitemapMode) {
         let status = 0;
         let ok = false;
         let meta = { title: '', description: '' };
+        let validators = {};
+        let indexing = {};
+        let hops = [];
+        let loop = false;
 
         // Update live thread status for visualizer
         try { telemetry.threadStatus({ workerId: (cfg.workerId ?? cfg.shardIndex ?? 1), phase: 'fetch', url: seedUrl }); } catch {}
@@ -700,10 +1101,23 @@ if (!usingUrlsFile && !sitemapMode) {
             const nav1 = await page.goto(seedUrl, { waitUntil: 'commit', timeout: 8000 });
             status = nav1 ? nav1.status() : 0;
             ok = !!nav1 && nav1.ok();
+            if (nav1) hops = await chainOf(nav1);
             if (ok) {
               try { await page.waitForLoadState('domcontentloaded', { timeout: 7000 }); } catch {}
               try { await page.waitForLoadState('networkidle', { timeout: 1500 }); } catch {}
+              validators = await validatorsFrom(nav1);
             }
+            const dom = await page.evaluate(() => {
+              const abs = (h) => { try { return new URL(h, location.href).toString(); } catch { return ''; } };
+              const canon = document.querySelector('link[rel~="canonical" i][href]');
+              const robots = Array.from(document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'))
+                .map(m => m.getAttribute('content') || '').join(',');
+              const alternates = Array.from(document.querySelectorAll('link[rel~="alternate" i][hreflang][href]'))
+                .map(l => ({ hreflang: (l.getAttribute('hreflang') || '').trim(), href: abs(l.getAttribute('href')) }))
+                .filter(a => a.hreflang && /^https?:/i.test(a.href));
+              return { canonical: canon ? abs(canon.getAttribute('href')) : '', robots, alternates };
+            });
+            indexing = indexingFrom(nav1, { canonical: dom.canonical, noindex: isNoindex(dom.robots), alternates: dom.alternates });
             meta = await page.evaluate(() => {
               const by = (sel) => document.querySelector(sel)?.getAttribute('content') || '';
               const title =
@@ -737,6 +1151,7 @@ if (!usingUrlsFile && !sitemapMode) {
         // If nav timed out (status 0 or !ok), run a cheap HTTP probe
         if (!ok || status === 0) {
           const probe = await httpProbe(seedUrl, 12000);
+          if (probe.hops.length) { hops = probe.hops; loop = probe.loop; }
           if (probe.ok && probe.status > 0) {
             ok = true;
             status = probe.status;
@@ -744,6 +1159,8 @@ if (!usingUrlsFile && !sitemapMode) {
           }
         }
 
+        noteRedirects(hops, loop);
+
         // Upgrade claim to final URL (after redirects)
         const finalKey = normalizeUrl(final, { keepPageParam: cfg.keepPageParam });
         if (finalKey !== seedKey) {
@@ -758,34 +1175,19 @@ if (!usingUrlsFile && !sitemapMode) {
           return;
         }
 
-        const titleN = normalizeText(meta.title);
-
         // Extract internal links once we have a good page
-        const links = await extractInternalLinks(page, {
+        const links = linksMode === 'none' ? [] : await extractInternalLinks(page, {
           origin: baseOrigin,
           pathPrefix: cfg.pathPrefix,
+          scope,
           sameOrigin: cfg.sameOrigin !== false,
           keepPageParam: cfg.keepPageParam,
           max: 50000,
-          interactive: true,
+          interactive: linksMode === 'full',
+          navRecorder: linksMode === 'full',
         });
 
-        try {
-          telemetry.event({ type: 'visited', url: finalKey });
-          telemetry.bump('internalEdges', Array.isArray(links) ? links.length : 0);
-        } catch {}
-
-        const linksArr = Array.isArray(links) ? links : [];
-        const normLinks = linksArr.map(l => (typeof l === 'string'
-          ? { url: l, text: '', kind: 'extracted' }
-          : l));
-        const rec = { url: finalKey, title: meta.title, description: meta.description, titleN, links: normLinks };
-        out.push(rec);
-        cache[finalKey] = { ...rec, lastFetched: nowIso() };
-
-        if (sitemapMode) {
-          existenceProbe.set(seedKey, { exists: !!ok, status, final_url: finalKey });
-        }
+        recordPage(seedKey, finalKey, status, ok, meta, links, validators, indexing, hops);
       } catch (e) {
         if (sitemapMode) existenceProbe.set(seedKey, { exists: false, status: 0, final_url: '' });
         log.warn('fetch fail', { url: seedUrl, err: String(e && e.message ? e.message : e) });
@@ -798,7 +1200,7 @@ if (!usingUrlsFile && !sitemapMode) {
     }));
 
     // Persist after each batch
-    saveCache(cfg.cachePath, cache);
+    cache.flush();
     const done = Math.min(i + conc, toFetch.length);
     log.info('batch saved', { done, total: toFetch.length });
     try { telemetry.event({ type: 'fetch/progress', done, total: toFetch.length }); } catch {}
@@ -806,147 +1208,236 @@ if (!usingUrlsFile && !sitemapMode) {
 
   // Merge reused cache entries into out
   for (const p of fromCache) {
-    if (!cache[p.url]) cache[p.url] = { ...p, lastFetched: p.lastFetched || nowIso() };
-    out.push({ url: p.url, title: p.title, description: p.description, titleN: p.titleN, links: p.links || [] });
-  }
-
-  // If we deferred role inference for “2 cols but first cell is URL”, do it now and transform rows.
-  if (roleHint === 'auto-second-col') {
-    const role = inferRoleForSingleText(rows.map(r => [secondCell(r)]), out);
-    rowsForReports = rows.map(r => {
-      const u = firstCell(r);
-      const t = secondCell(r);
-      return (role === 'title')
-        ? { expectedUrl: u, expectedTitle: t, expectedDescription: '' }
-        : { expectedUrl: u, expectedTitle: '', expectedDescription: t };
-    });
+    out.push(pageFromCache(p));
+    if (p.redirectChain) noteRedirects(p.redirectChain);
   }
 
-  // emit the hierarchical tree files now that `out` is complete
-  await writeTreeReport(cfg.outDir, out.map(p => p.url), cfg.pathPrefix || '');
-
+  // sitemap lastmod / changefreq / priority / hreflang alternates travel with the page
+  if (sitemapMeta.size) {
+    for (const p of out) {
+      const m = sitemapMeta.get(String(p.url || '').replace(/\/+$/, ''));
+      if (m) p.sitemap = m;
+    }
+  }
 
-  // ---------- REPORTS ----------
-  telemetry.step('reports');
+  if (cfg.deferReports) {
+    // sharded run: the orchestrator's mergeReports pass writes tree + shared reports over every worker's pages
+    writeJson(path.join(cfg.outDir, `pages.part${tag}.json`), out);
+    log.info('report', { file: `pages.part${tag}.json`, pages: out.length, deferred: true });
+  } else {
+    // emit the hierarchical tree files now that `out` is complete
+    await writeTreeReport(cfg.outDir, out.map(p => p.url), cfg.pathPrefix || '');
+    await writeSharedReports(out);
+    // standalone crawl: this worker's suppressed trap patterns / robots.txt hits become the merged CSVs
+    try {
+      const traps = mergeCrawlTraps(cfg.outDir);
+      if (traps) log.info('report', { file: 'crawl-traps.csv', patterns: traps.rows });
+      const blocked = mergeRobotsBlocked(cfg.outDir);
+      if (blocked) log.info('report', { file: 'robots-blocked.csv', urls: blocked.rows });
+      appendSummary(cfg.outDir, [traps, blocked]);
+    } catch {}
+    if (cfg.reconcile) {
+      try {
+        const rec = await writeReconciliation(cfg.outDir, { keepPageParam: cfg.keepPageParam, scope, log });
+        if (rec) { appendSummary(cfg.outDir, rec); log.info('report', { reconcile: rec.map(r => `${path.basename(r.file)}: ${r.rows}`) }); }
+      } catch (e) {
+        log.warn('reconcile failed', { err: String(e && e.message ? e.message : e) });
+      }
+    }
+  }
+  await writeWorkerParts(out, existenceProbe, redirectLog);
 
-  // If initial single-col text guess was made before fetching, refine with page data
-  if (!sitemapMode && roleHint && (roleHint === 'title' || roleHint === 'description')) {
-    const role = inferRoleForSingleText(rows, out);
-    rowsForReports = rows.map(r => {
-      const v = firstCell(r);
-      return (role === 'title')
-        ? { expectedTitle: v, expectedDescription: '' }
-        : { expectedTitle: '', expectedDescription: v };
-    });
+  // standalone crawl: this worker's redirect chains become redirects.csv (after its edges are on disk,
+  // for the "linked" flag)
+  if (!cfg.deferReports) {
+    try {
+      const redirects = mergeRedirects(cfg.outDir, { maxHops: cfg.redirectChainMax, keepPageParam: cfg.keepPageParam });
+      if (redirects) { appendSummary(cfg.outDir, [redirects]); log.info('report', { file: 'redirects.csv', urls: redirects.rows }); }
+    } catch {}
   }
 
-  // Always run writeReports so duplicate-titles.csv (and internal-links CSV) are emitted.
-  const reporterRows = Array.isArray(rowsForReports) ? rowsForReports : [];
-  const reporterCfg  = comparisonEnabled
-    ? { ...cfg, onlyReports }                                  // full comparison set
-    : { ...cfg, onlyReports: ['internal_links'] };             // no comparison tables, still do internals + duplicates
+  // standalone crawl with "broken_links" / "external_links" selected: validate targets once this worker's edges are on disk
+  // (sharded runs do it in the orchestrator over the merged graph)
+  if (!cfg.deferReports && onlyReports.includes('broken_links')) {
+    try {
+      const res = await writeBrokenLinks(cfg.outDir, { base: cfg.base, keepPageParam: cfg.keepPageParam, log });
+      if (res) { appendSummary(cfg.outDir, [res]); log.info('report', { file: path.basename(res.file), broken: res.rows, checked: res.checked }); }
+    } catch (e) {
+      log.warn('link check failed', { err: String(e && e.message ? e.message : e) });
+    }
+  }
+  if (!cfg.deferReports && onlyReports.includes('external_links')) {
+    try {
+      const res = await writeExternalLinks(cfg.outDir, { base: cfg.base, keepPageParam: cfg.keepPageParam, allow: cfg.externalAllow, deny: cfg.externalDeny, log });
+      if (res) { appendSummary(cfg.outDir, [res]); log.info('report', { file: path.basename(res.file), targets: res.rows, broken: res.broken, unverifiable: res.unverifiable }); }
+    } catch (e) {
+      log.warn('external link check failed', { err: String(e && e.message ? e.message : e) });
+    }
+  }
 
-  await writeReports(reporterCfg, out, reporterRows);
+  // Site-wide reports (one set of filenames): comparison tables, duplicate titles, internal-links.csv, summary
+  async function writeSharedReports(out) {
+    // If we deferred role inference for “2 cols but first cell is URL”, do it now and transform rows.
+    if (roleHint === 'auto-second-col') {
+      const role = inferRoleForSingleText(rows.map(r => [secondCell(r)]), out);
+      rowsForReports = rows.map(r => {
+        const u = firstCell(r);
+        const t = secondCell(r);
+        return (role === 'title')
+          ? { expectedUrl: u, expectedTitle: t, expectedDescription: '' }
+          : { expectedUrl: u, expectedTitle: '', expectedDescription: t };
+      });
+    }
 
-  if (!comparisonEnabled) {
-    log.info('comparison skipped for this input mode');
-    // Still emit a lightweight site catalog for convenience
-    const cat = out.map(p => ({
-      url: p.url,
-      title: p.title || '',
-      description: p.description || ''
-    }));
-    if (cat.length) {
-      writeCsv(
-        path.join(cfg.outDir, `site_catalog.part${tag}.csv`),
-        ['url', 'title', 'description'],
-        cat
-      );
-      log.info('report', { file: `site_catalog.part${tag}.csv`, rows: cat.length });
+    // ---------- REPORTS ----------
+    telemetry.step('reports');
+
+    // If initial single-col text guess was made before fetching, refine with page data
+    if (!sitemapMode && roleHint && (roleHint === 'title' || roleHint === 'description')) {
+      const role = inferRoleForSingleText(rows, out);
+      rowsForReports = rows.map(r => {
+        const v = firstCell(r);
+        return (role === 'title')
+          ? { expectedTitle: v, expectedDescription: '' }
+          : { expectedTitle: '', expectedDescription: v };
+      });
     }
-  }
 
+    // Always run writeReports so duplicate-titles.csv (and internal-links CSV) are emitted.
+    const reporterRows = Array.isArray(rowsForReports) ? rowsForReports : [];
+    const reporterCfg  = comparisonEnabled
+      ? { ...cfg, onlyReports }                                  // full comparison set
+      : { ...cfg, onlyReports: ['internal_links'] };             // no comparison tables, still do internals + duplicates
 
-  // Also emit a lightweight internal-links file from the extracted links
-  try {
-    const ilPath = path.join(cfg.outDir, `internal-links.part${tag}.ndjson`);
-      for (const p of out) {
-        const links = Array.isArray(p.links) ? p.links : [];
-        for (const l of links) {
-          fs.appendFileSync(ilPath, JSON.stringify({
-            page_url: p.url,
-            link_url: l.url || String(l),
-            link_text: l.text || '',
-            kind: l.kind || 'extracted'
-          }) + '\n', 'utf8');
+    await writeReports(reporterCfg, out, reporterRows);
+
+    // "sitemap" output: sitemap.xml (+ index when split) from the 200 / indexable / self-canonical pages
+    if (!onlyReports.length || onlyReports.includes('sitemap')) {
+      try {
+        const sm = writeSitemapXml(cfg.outDir, out, {
+          keepPageParam: cfg.keepPageParam,
+          baseUrl: cfg.sitemapBaseUrl || baseOrigin,
+          hreflang: cfg.sitemapHreflang,
+          lastmod: cfg.sitemapLastmod,
+          log
+        });
+        if (sm) {
+          appendSummary(cfg.outDir, [sm]);
+          log.info('report', { file: path.basename(sm.file), urls: sm.rows, files: sm.parts, excluded: sm.excluded });
         }
+      } catch (e) {
+        log.warn('sitemap.xml failed', { err: String(e && e.message ? e.message : e) });
       }
-
-    log.info('report', { file: path.basename(ilPath), edges: out.reduce((n, p) => n + (p.links?.length || 0), 0) });
-  } catch (e) {
-    log.warn('internal-links emit failed', { err: String(e && e.message ? e.message : e) });
+    }
   }
 
-  // Existence report + working/not-working lists (only in explicit list mode)
-  if (sitemapMode) {
-    const normalizedInputs = Array.from(new Set((explicitInputUrls || []).map(h => {
-      try { return normalizeUrl(new URL(h, baseOrigin).toString(), { keepPageParam: cfg.keepPageParam }); }
-      catch { return null; }
-    }).filter(Boolean)));
-
-    const existenceRows = normalizedInputs.map(inputUrl => {
-      const hit = existenceProbe.get(inputUrl);
-      return {
-        input_url: inputUrl,
-        exists: hit ? (hit.exists ? 'true' : 'false') : 'false',
-        http_status: hit ? hit.status : 0,
-        final_url: hit ? hit.final_url : ''
-      };
-    });
+  // Per-worker .part files the orchestrator merges: site catalog, internal-links ndjson, existence
+  async function writeWorkerParts(out, existenceProbe, redirectLog = null) {
+    if (!comparisonEnabled) {
+      log.info('comparison skipped for this input mode');
+      // Still emit a lightweight site catalog for convenience
+      const cat = out.map(p => ({
+        url: p.url,
+        title: p.title || '',
+        description: p.description || ''
+      }));
+      if (cat.length) {
+        writeCsv(
+          path.join(cfg.outDir, `site_catalog.part${tag}.csv`),
+          ['url', 'title', 'description'],
+          cat
+        );
+        log.info('report', { file: `site_catalog.part${tag}.csv`, rows: cat.length });
+      }
+    }
 
-    const okCount = existenceRows.filter(r => r.exists === 'true').length;
-    const badCount = existenceRows.length - okCount;
-    try { telemetry.event({ type: 'existence/summary', ok: okCount, bad: badCount }); } catch {}
 
-    const outCsv = path.join(cfg.outDir, `url-existence.part${tag}.csv`);
-    const outJson = path.join(cfg.outDir, `url-existence.part${tag}.json`);
-    writeCsv(outCsv, ['input_url', 'exists', 'http_status', 'final_url'], existenceRows);
-    writeJson(outJson, existenceRows);
-    log.info('report', { file: outCsv, rows: existenceRows.length });
+    if (redirectLog && redirectLog.size) {
+      writeJson(path.join(cfg.outDir, `redirects.part${tag}.json`), Array.from(redirectLog.values()));
+      log.info('report', { file: `redirects.part${tag}.json`, chains: redirectLog.size });
+    }
 
-    // also write working/not-working master lists WITH status (url,status)
+    // Also emit a lightweight internal-links file from the extracted links
     try {
-      // working/not-working master + per-shard lists (CSV)
-    const workingRows = existenceRows
-      .filter(r => r.exists === 'true')
-      .map(r => ({ url: r.final_url || r.input_url, http_status: r.http_status }));
-
-    const notWorkingRows = existenceRows
-      .filter(r => r.exists !== 'true')
-      .map(r => ({ url: r.input_url, http_status: r.http_status }));
+      const ilPath = path.join(cfg.outDir, `internal-links.part${tag}.ndjson`);
+        for (const p of out) {
+          const links = Array.isArray(p.links) ? p.links : [];
+          for (const l of links) {
+            fs.appendFileSync(ilPath, JSON.stringify({
+              page_url: p.url,
+              link_url: l.url || String(l),
+              link_text: l.text || '',
+              kind: l.kind || 'extracted'
+            }) + '\n', 'utf8');
+          }
+        }
 
-    if (workingRows.length) {
-      writeCsv(path.join(cfg.outDir, 'working-urls.csv'), ['url','http_status'], workingRows);
-      writeCsv(path.join(cfg.outDir, `working-urls.part${tag}.csv`), ['url','http_status'], workingRows);
-    }
-    if (notWorkingRows.length) {
-      writeCsv(path.join(cfg.outDir, 'not-working-urls.csv'), ['url','http_status'], notWorkingRows);
-      writeCsv(path.join(cfg.outDir, `not-working-urls.part${tag}.csv`), ['url','http_status'], notWorkingRows);
-    }
+      log.info('report', { file: path.basename(ilPath), edges: out.reduce((n, p) => n + (p.links?.length || 0), 0) });
     } catch (e) {
-      log.warn('writing working/not-working failed', { err: String(e && e.message ? e.message : e) });
+      log.warn('internal-links emit failed', { err: String(e && e.message ? e.message : e) });
     }
 
-    // per-shard working / not-working lists
-    const working = Array.from(new Set(
-      existenceRows.filter(r => r.exists === 'true' && r.final_url).map(r => r.final_url)
-    ));
-    const notWorking = Array.from(new Set(
-      existenceRows.filter(r => r.exists !== 'true').map(r => r.input_url)
-    ));
-    if (working.length) fs.writeFileSync(path.join(cfg.outDir, `working-urls.part${tag}.txt`), working.join('\n') + '\n', 'utf8');
-    if (notWorking.length) fs.writeFileSync(path.join(cfg.outDir, `not-working-urls.part${tag}.txt`), notWorking.join('\n') + '\n', 'utf8');
-    log.info('report', { working: working.length, not_working: notWorking.length });
+    // Existence report + working/not-working lists (only in explicit list mode)
+    if (sitemapMode) {
+      const normalizedInputs = Array.from(new Set((explicitInputUrls || []).map(h => {
+        try { return normalizeUrl(new URL(h, baseOrigin).toString(), { keepPageParam: cfg.keepPageParam }); }
+        catch { return null; }
+      }).filter(Boolean)));
+
+      const existenceRows = normalizedInputs.map(inputUrl => {
+        const hit = existenceProbe.get(inputUrl);
+        return {
+          input_url: inputUrl,
+          exists: hit ? (hit.exists ? 'true' : 'false') : 'false',
+          http_status: hit ? hit.status : 0,
+          final_url: hit ? hit.final_url : ''
+        };
+      });
+
+      const okCount = existenceRows.filter(r => r.exists === 'true').length;
+      const badCount = existenceRows.length - okCount;
+      try { telemetry.event({ type: 'existence/summary', ok: okCount, bad: badCount }); } catch {}
+
+      const outCsv = path.join(cfg.outDir, `url-existence.part${tag}.csv`);
+      const outJson = path.join(cfg.outDir, `url-existence.part${tag}.json`);
+      writeCsv(outCsv, ['input_url', 'exists', 'http_status', 'final_url'], existenceRows);
+      writeJson(outJson, existenceRows);
+      log.info('report', { file: outCsv, rows: existenceRows.length });
+
+      // also write working/not-working master lists WITH status (url,status)
+      try {
+        // working/not-working master + per-shard lists (CSV)
+      const workingRows = existenceRows
+        .filter(r => r.exists === 'true')
+        .map(r => ({ url: r.final_url || r.input_url, http_status: r.http_status }));
+
+      const notWorkingRows = existenceRows
+        .filter(r => r.exists !== 'true')
+        .map(r => ({ url: r.input_url, http_status: r.http_status }));
+
+      if (workingRows.length) {
+        writeCsv(path.join(cfg.outDir, 'working-urls.csv'), ['url','http_status'], workingRows);
+        writeCsv(path.join(cfg.outDir, `working-urls.part${tag}.csv`), ['url','http_status'], workingRows);
+      }
+      if (notWorkingRows.length) {
+        writeCsv(path.join(cfg.outDir, 'not-working-urls.csv'), ['url','http_status'], notWorkingRows);
+        writeCsv(path.join(cfg.outDir, `not-working-urls.part${tag}.csv`), ['url','http_status'], notWorkingRows);
+      }
+      } catch (e) {
+        log.warn('writing working/not-working failed', { err: String(e && e.message ? e.message : e) });
+      }
+
+      // per-shard working / not-working lists
+      const working = Array.from(new Set(
+        existenceRows.filter(r => r.exists === 'true' && r.final_url).map(r => r.final_url)
+      ));
+      const notWorking = Array.from(new Set(
+        existenceRows.filter(r => r.exists !== 'true').map(r => r.input_url)
+      ));
+      if (working.length) fs.writeFileSync(path.join(cfg.outDir, `working-urls.part${tag}.txt`), working.join('\n') + '\n', 'utf8');
+      if (notWorking.length) fs.writeFileSync(path.join(cfg.outDir, `not-working-urls.part${tag}.txt`), notWorking.join('\n') + '\n', 'utf8');
+      log.info('report', { working: working.length, not_working: notWorking.length });
+    }
   }
 
   await context.close().catch(() => {});
@@ -962,9 +1453,12 @@ if (!usingUrlsFile && !sitemapMode) {
     telemetry.event({
       type: 'worker/done',
       fetched: out.length - fromCache.length,
-      reused: fromCache.length
+      reused: fromCache.length,
+      viaHttp,
+      httpFallbacks
     });
   } catch {}
+  if (metaStrategy === 'http') log.info('metaStrategy=http', { viaHttp, rendered: httpFallbacks });
 
 
   log.info('worker finished', { elapsed_ms: ms, elapsed: hms });
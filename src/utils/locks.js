@@ -0,0 +1,172 @@
+// src/utils/locks.js
+'use strict';
+
+// Shared lock-file manager for every *.lock / *.owner the workers create:
+//   - run.js claimUrl        (outDir/locks/<sha1>.lock)
+//   - frontier.js tryClaim   (outDir/disco-locks/<sha1>.lock)
+//   - bucket owners          (frontier/assign/bucket.N.owner)
+//   - the fetch-cache store  (fetch-cache.ndjson.lock)
+// A lock is stale when its pid is gone (same host only) or it hasn't been touched for the TTL
+// (MC_LOCK_TTL_SEC, default 15 min; long holders like bucket owners call touchLock).
+// Stale locks are taken over via rename-then-check so two workers reclaiming the same lock
+// can't delete a fresh one, and each takeover emits a lock/reclaimed telemetry event.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let telemetry = null;
+try { const tmod = require('./telemetry'); telemetry = tmod.telemetry || tmod; } catch {}
+
+const HOST = os.hostname();
+
+function sleepMs(ms){
+  try { Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, Math.max(0, ms|0)); }
+  catch { const start = Date.now(); while (Date.now() - start < ms) {} }
+}
+
+// Windows/OneDrive/AV can return EBUSY/EPERM transiently: retry fn with a growing pause
+function withRetry(fn, tries = 40) {
+  let last;
+  for (let i = 0; i < tries; i++) {
+    try { return fn(); }
+    catch (e) {
+      if (e && (e.code === 'EBUSY' || e.code === 'EPERM')) { last = e; sleepMs(20 + i * 10); continue; }
+      throw e;
+    }
+  }
+  throw last;
+}
+
+function lockTtlMs() {
+  const sec = Number(process.env.MC_LOCK_TTL_SEC || 900);
+  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : 900000;
+}
+
+function pidAlive(pid) {
+  if (!pid) return false;
+  try { process.kill(pid, 0); return true; } catch (e) { return !!(e && e.code === 'EPERM'); }
+}
+
+// First line of a lock file as JSON (null if missing / torn)
+function readLockInfo(p) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf8').split(/\r?\n/)[0] || 'null'); } catch { return null; }
+}
+
+function lockPayload(extra = {}) {
+  return JSON.stringify({ ...extra, pid: process.pid, host: HOST, at: new Date().toISOString() }) + '\n';
+}
+
+/**
+ * Why a lock is stale: 'dead-pid' | 'ttl' | null (still held).
+ * A lock from another host is only judged by age; an empty lock (writer died mid-create) after 5s.
+ */
+function staleReason(p, { ttlMs = lockTtlMs(), info } = {}) {
+  let st;
+  try { st = fs.statSync(p); } catch { return null; }
+  if (info === undefined) info = readLockInfo(p);
+  const sameHost = !info || !info.host || info.host === HOST;
+  if (info && info.pid && sameHost && !pidAlive(info.pid)) return 'dead-pid';
+  if (Date.now() - st.mtimeMs > ttlMs) return 'ttl';
+  // a lock that never got its payload written belongs to a writer that died mid-create
+  if (!info && Date.now() - st.mtimeMs > 5000) return 'dead-pid';
+  return null;
+}
+
+/**
+ * Take over a stale lock. Returns { file, reason, pid, url, depth, section } when it was reclaimed, else null.
+ * The lock is first renamed aside (atomic: only one reclaimer wins), re-checked, then removed;
+ * if it turned out to be live after all it is linked back.
+ */
+function reclaimIfStale(p, { ttlMs = lockTtlMs(), kind = '', log = null } = {}) {
+  const info = readLockInfo(p);
+  const reason = staleReason(p, { ttlMs, info });
+  if (!reason) return null;
+  const aside = `${p}.${process.pid}.reclaim`;
+  try { fs.renameSync(p, aside); } catch { return null; } // someone else reclaimed / released it
+  const now = readLockInfo(aside);
+  const same = !info || !now || (now.pid === info.pid && now.at === info.at);
+  if (!same && !staleReason(aside, { ttlMs, info: now })) {
+    try { fs.linkSync(aside, p); } catch {}
+    try { fs.unlinkSync(aside); } catch {}
+    return null;
+  }
+  try { fs.unlinkSync(aside); } catch {}
+  const rec = {
+    file: path.basename(p),
+    dir: path.basename(path.dirname(p)),
+    kind: kind || path.extname(p).slice(1),
+    reason,
+    pid: info ? info.pid : null,
+    url: (info && (info.url || info.key)) || '',
+    depth: info && info.depth != null ? info.depth : null,     // disco locks: where the URL sat in the frontier
+    section: info && info.section != null ? info.section : null
+  };
+  try { telemetry && telemetry.event({ type: 'lock/reclaimed', ...rec }); } catch {}
+  if (log) { try { log.warn('lock/reclaimed', rec); } catch {} }
+  return rec;
+}
+
+/**
+ * Exclusive-create a lock file with our payload. On EEXIST the holder is checked and a stale
+ * lock is reclaimed once; transient EBUSY/EPERM are retried. Returns the open fd or -1.
+ */
+function acquireLock(p, extra = {}, { ttlMs = lockTtlMs(), kind = '', tries = 1, sleep = 100, log = null } = {}) {
+  try { fs.mkdirSync(path.dirname(p), { recursive: true }); } catch {}
+  let reclaimed = false;
+  for (let i = 0; i < Math.max(1, tries); i++) {
+    try {
+      const fd = fs.openSync(p, 'wx');
+      try { fs.writeFileSync(fd, lockPayload(extra)); } catch {}
+      return fd;
+    } catch (e) {
+      if (e && e.code === 'EEXIST') {
+        if (!reclaimed && reclaimIfStale(p, { ttlMs, kind, log })) { reclaimed = true; i--; continue; }
+        return -1;
+      }
+      if (e && (e.code === 'EBUSY' || e.code === 'EPERM' || e.code === 'EACCES' || e.code === 'EPROTO')) {
+        sleepMs(sleep);
+        continue;
+      }
+      return -1;
+    }
+  }
+  return -1;
+}
+
+// Holder heartbeat: bump mtime so a long-held lock doesn't age past the TTL
+function touchLock(p) {
+  try { const now = new Date(); fs.utimesSync(p, now, now); } catch {}
+}
+
+// Close + remove a lock we hold (best-effort)
+function releaseLock(fd, p) {
+  try { if (fd >= 0) fs.closeSync(fd); } catch {}
+  try { fs.unlinkSync(p); } catch {}
+}
+
+// Sweep a lock directory; returns the reclaimed records (callers may requeue rec.url)
+function reclaimStaleLocks(dir, { ext = '.lock', ttlMs = lockTtlMs(), kind = '', log = null } = {}) {
+  const out = [];
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => f.endsWith(ext)); } catch { return out; }
+  for (const f of files) {
+    const rec = reclaimIfStale(path.join(dir, f), { ttlMs, kind, log });
+    if (rec) out.push(rec);
+  }
+  return out;
+}
+
+module.exports = {
+  sleepMs,
+  withRetry,
+  lockTtlMs,
+  pidAlive,
+  readLockInfo,
+  staleReason,
+  reclaimIfStale,
+  acquireLock,
+  touchLock,
+  releaseLock,
+  reclaimStaleLocks,
+};
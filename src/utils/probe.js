@@ -0,0 +1,117 @@
+// src/utils/probe.js
+'use strict';
+
+// Plain HTTP status probes for the audit reports (sitemap reconciliation, link checks): no browser,
+// no redirect following, so a 301 is reported as a 301 with its Location.
+// One prober is one shared rate limit: at most `concurrency` requests in flight and `delayMs`
+// (MC_POLITE_DELAY_MS by default) between request starts. Each URL is probed once; repeated calls
+// return the same result.
+// HEAD first; servers that refuse it (405/501) get a GET whose body is dropped unread.
+// trace(url) follows a redirect chain hop by hop through the same probes (so hops shared by several
+// chains are requested once) and reports every hop, loops and over-long chains.
+
+const https = require('https');
+const http = require('http');
+
+function request(url, method, { timeoutMs, userAgent }) {
+  return new Promise((resolve) => {
+    let u;
+    try { u = new URL(url); } catch { return resolve({ status: 0, location: '', error: 'bad url' }); }
+    if (!/^https?:$/.test(u.protocol)) return resolve({ status: 0, location: '', error: 'unsupported protocol' });
+    const mod = u.protocol === 'https:' ? https : http;
+    const req = mod.request(
+      {
+        protocol: u.protocol,
+        hostname: u.hostname,
+        port: u.port || (u.protocol === 'https:' ? 443 : 80),
+        path: u.pathname + (u.search || ''),
+        method,
+        headers: { 'user-agent': userAgent },
+        rejectUnauthorized: false, // stage sites with self-signed certs, like the browser's ignoreHTTPSErrors
+      },
+      res => {
+        res.destroy();
+        // a malformed Location must not throw out of the response handler (the probe would never settle)
+        let location = '';
+        try { location = res.headers.location ? new URL(res.headers.location, url).toString() : ''; }
+        catch { return resolve({ status: res.statusCode, location: '', error: 'bad location' }); }
+        resolve({ status: res.statusCode, location, error: '' });
+      }
+    );
+    req.setTimeout(timeoutMs, () => req.destroy(new Error('timeout')));
+    req.on('error', (e) => resolve({ status: 0, location: '', error: String(e && e.message ? e.message : e) }));
+    req.end();
+  });
+}
+
+function createProber({
+  concurrency = 4,
+  delayMs = parseInt(process.env.MC_POLITE_DELAY_MS || '0', 10) || 0,
+  timeoutMs = 12000,
+  userAgent = process.env.MC_USER_AGENT || 'meta-check-bot/1.0 (+https://github.com/)',
+} = {}) {
+  const results = new Map(); // url -> Promise<{ url, status, location, error }>
+  const waiting = [];
+  let active = 0;
+  let nextStart = 0;
+
+  function pump() {
+    while (active < concurrency && waiting.length) {
+      const job = waiting.shift();
+      active++;
+      const wait = Math.max(0, nextStart - Date.now());
+      nextStart = Math.max(Date.now(), nextStart) + delayMs;
+      setTimeout(() => {
+        job().finally(() => { active--; pump(); });
+      }, wait);
+    }
+  }
+
+  function probe(url) {
+    if (results.has(url)) return results.get(url);
+    const p = new Promise((resolve) => {
+      waiting.push(async () => {
+        let r = await request(url, 'HEAD', { timeoutMs, userAgent });
+        if (r.status === 405 || r.status === 501) r = await request(url, 'GET', { timeoutMs, userAgent });
+        resolve({ url, ...r });
+      });
+      pump();
+    });
+    results.set(url, p);
+    return p;
+  }
+
+  // -> { url, status, finalUrl, hops: [{ url, status }], loop, error } (status/error of the last hop)
+  async function trace(url, maxHops = 10) {
+    const hops = [];
+    const seen = new Set();
+    let cur = url;
+    for (;;) {
+      const r = await probe(cur);
+      hops.push({ url: cur, status: r.status });
+      seen.add(cur);
+      const redirect = r.status >= 300 && r.status < 400 && r.location;
+      if (!redirect) return { url, status: r.status, finalUrl: cur, hops, loop: false, error: r.error };
+      if (seen.has(r.location)) return { url, status: r.status, finalUrl: r.location, hops, loop: true, error: 'redirect loop' };
+      if (hops.length > maxHops) return { url, status: r.status, finalUrl: r.location, hops, loop: false, error: `more than ${maxHops} redirects` };
+      cur = r.location;
+    }
+  }
+
+  // -> Map(url -> result); onEach(result, done, total) for progress. follow: trace() instead of probe()
+  async function probeAll(urls, onEach, { follow = false } = {}) {
+    const list = Array.from(new Set(urls));
+    const out = new Map();
+    let done = 0;
+    await Promise.all(list.map(u => (follow ? trace(u) : probe(u)).then(r => {
+      out.set(u, r);
+      done++;
+      if (onEach) try { onEach(r, done, list.length); } catch {}
+    })));
+    return out;
+  }
+
+  return { probe, trace, probeAll, concurrency, delayMs, get size() { return results.size; } };
+}
+
+module.exports = { createProber };
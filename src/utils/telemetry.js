@@ -6,6 +6,8 @@ const os   = require('os');
 const { exec } = require('child_process');
 const fs   = require('fs');
 const path = require('path');
+const { splitRules, ruleErrors } = require('../discover/scope');
+const { redirectMapColumns } = require('../../lib/shape-sniff');
 
 // === Pre-flight selection state & validators =================================
 let APPLIED = false;
@@ -18,6 +20,9 @@ const OUTPUTS = [
   { key: 'site_catalog',    label: 'site_catalog',      needs: 'none'   },
   { key: 'internal_links',  label: 'internal_links',    needs: 'none'   },
   { key: 'tree',            label: 'tree',              needs: 'none'   },
+  { key: 'sitemap',         label: 'sitemap.xml',       needs: 'none'   },
+  { key: 'broken_links',    label: 'broken-links.csv',  needs: 'none'   }, // probes every internal link target
+  { key: 'external_links',  label: 'external-links.csv', needs: 'none'  }, // probes outbound targets (per-domain rate limit)
   { key: 'existence_csv',   label: 'existence.csv',     needs: 'any'    }, // needs *any* CSV
   { key: 'comparison_csv',  label: 'comparison.csv',    needs: 'compare'}  // needs 2-col CSV
 ];
@@ -66,9 +71,14 @@ function sniffCsvShape(filePath) {
     const firstColUrlShare = rows.filter(r => isUrl(r[0] || '')).length / rows.length;
     const firstRowIsUrl    = isUrl(rows[0][0] || '');
 
-    // Infer roles
+    // Infer roles (a redirect map: a header naming the target column or two columns, both URL-ish)
     let roles = [];
-    if (cols === 3) {
+    const redirectCols = redirectMapColumns(rows);
+    if (redirectCols) {
+      roles = Array(cols).fill('');
+      roles[redirectCols.source] = 'url';
+      roles[redirectCols.target] = 'redirect_target';
+    } else if (cols === 3) {
       roles = ['url', 'title', 'description'];
     } else if (cols === 2) {
       const col1Url = rows.filter(r => isUrl(r[0] || '')).length / rows.length;
@@ -111,6 +121,12 @@ function validateOutputs(selected, shape) {
   const hasInput = !!(shape && shape.exists);
   const roles = (shape && Array.isArray(shape.inferredRoles)) ? shape.inferredRoles : [];
 
+  // Unknown keys (a typo in --outputs / meta-check.config.json) would silently produce nothing
+  const known = new Set(OUTPUTS.map(o => o.key));
+  for (const k of sel) {
+    if (!known.has(k)) errors.push({ key: String(k), reason: `Unknown output. Known: ${Array.from(known).join(', ')}.` });
+  }
+
   // Always-allowed (urls/site_catalog/internal_links/tree) need no checks
 
   // existence_csv requires input with URL-ish first column (>=60% URL-ish)
@@ -160,13 +176,14 @@ const STATE = {
 };
 
 // ----- remote client (child -> orchestrator) -----
-const REMOTE_PORT = Number(process.env.TELEMETRY_PORT || 0);
+// (read per call: a remote coordinator worker points TELEMETRY_HOST/PORT at the orchestrator after startup)
 function postToParent(type, payload) {
+  const REMOTE_PORT = Number(process.env.TELEMETRY_PORT || 0);
   if (!REMOTE_PORT || server) return false; // no remote, or we ARE the server
   try {
     const data = Buffer.from(JSON.stringify({ type, ...payload }), 'utf8');
     const req = http.request(
-      { hostname: '127.0.0.1', port: REMOTE_PORT, path: '/update', method: 'POST',
+      { hostname: process.env.TELEMETRY_HOST || '127.0.0.1', port: REMOTE_PORT, path: '/update', method: 'POST',
         headers: { 'content-type': 'application/json', 'content-length': data.length } },
       res => { res.resume(); }
     );
@@ -251,6 +268,7 @@ function bucketProgress(a, b, c) {
 
 
 let server = null;
+let loopback = null; // second listener on 127.0.0.1 when server is bound to one specific address
 let PORT   = 0;
 
 function nowHMS() {
@@ -267,7 +285,9 @@ function init(opts = {}) {
   if (server) return PORT;
   PORT = Number(process.env.TELEMETRY_PORT || opts.port || 0); // 0 -> random
   server = http.createServer(handleHttp);
-  server.listen(PORT, '127.0.0.1', () => {
+  // bind beyond loopback only when asked (--coordinatorHost: remote workers must reach /frontier/*)
+  const host = opts.host || '127.0.0.1';
+  server.listen(PORT, host, () => {
     try {
       if (!global.__telemetrySnapshotTimer) {
         global.__telemetrySnapshotTimer = setInterval(() => {
@@ -276,9 +296,17 @@ function init(opts = {}) {
       }
     } catch {}
     PORT = server.address().port;
-    logEvent('telemetry/started', { port: PORT, host: '127.0.0.1' });
-    const auto = (opts.open !== false) && (opts.autoOpen !== false); // support either flag
-    if (auto) openBrowser(`http://127.0.0.1:${PORT}/`);
+    logEvent('telemetry/started', { port: PORT, host });
+    const ready = () => {
+      const auto = (opts.open !== false) && (opts.autoOpen !== false); // support either flag
+      if (auto) openBrowser(`http://127.0.0.1:${PORT}/`);
+    };
+    // a specific address (--coordinatorHost 10.0.0.5) doesn't answer on 127.0.0.1, where the UI, the
+    // children's telemetry and the orchestrator's own /stop-state and /preflight polls all go
+    if (isLoopbackHost(host) || /^(0\.0\.0\.0|::|\[::\])$/.test(host)) return ready();
+    loopback = http.createServer(handleHttp);
+    loopback.on('error', (e) => logEvent('telemetry/loopback-failed', { port: PORT, error: String(e && e.message || e) }));
+    loopback.listen(PORT, '127.0.0.1', ready);
   });
   return PORT;
 }
@@ -286,7 +314,9 @@ const startServer = init;
 
 function stop() {
   try { server && server.close(); } catch {}
+  try { loopback && loopback.close(); } catch {}
   server = null;
+  loopback = null;
 }
 
 function setMode(m) { STATE.mode = String(m || ''); }
@@ -371,7 +401,32 @@ function snapshot() {
 
 
 // ---------- HTTP server & UI ----------
+// Extra route handlers mounted by the orchestrator (e.g. coordinator /frontier/*); each returns true if it answered
+const MOUNTS = [];
+function mount(handler) { if (typeof handler === 'function') MOUNTS.push(handler); }
+
+const isLoopbackHost = (h) => /^(localhost|127(\.\d+){3}|::1|::ffff:127(\.\d+){3})$/i.test(String(h || '').replace(/^\[|\]$/g, ''));
+
+// Once the server is reachable beyond loopback (--coordinatorHost), only the page itself is public:
+// every other route (/config, /start, /stop, /update, /files, /frontier/*, …) wants the
+// x-mc-token header from non-loopback peers. Local callers (the UI, child workers) are unaffected.
+function authorized(req) {
+  if (isLoopbackHost(req.socket && req.socket.remoteAddress)) return true;
+  if (req.method === 'GET' && (req.url === '/' || req.url === '/favicon.ico')) return true;
+  const token = process.env.MC_COORDINATOR_TOKEN || '';
+  return !!token && req.headers['x-mc-token'] === token;
+}
+
 function handleHttp(req, res) {
+  if (!authorized(req)) {
+    req.resume();
+    res.writeHead(401, { 'content-type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: 'bad token' }));
+    return;
+  }
+  for (const h of MOUNTS) {
+    try { if (h(req, res)) return; } catch {}
+  }
   if (req.method === 'POST' && req.url === '/update') {
     let body = ''; req.on('data', c => body += c);
     req.on('end', () => {
@@ -450,6 +505,9 @@ function handleHttp(req, res) {
      const meta = (file && file.meta) ? file.meta : {
       base: '',
       prefix: '',
+      include: [],
+      exclude: [],
+      maxDepth: 0,
       outDir: LAUNCH.outDir || 'dist',
      keepPageParam: false,
       headless: true,
@@ -479,73 +537,9 @@ if (req.method === 'POST' && req.url === '/config') {
   req.on('data', c => body += c);
   req.on('end', () => {
     try {
-      const j = JSON.parse(body || '{}');
-      const outputs = Array.isArray(j.outputs) ? j.outputs : [];
-      const meta = j.meta || {};
-      const outDir = String(meta.outDir || LAUNCH.outDir || 'dist').trim();
-
-      const errors = [];
-
-      const ensureHttpUrl = (u) => {
-        const s = String(u || '').trim();
-        if (!s) return '';
-        return /^[a-z]+:\/\//i.test(s) ? s : `https://${s}`;
-      };
-      const normPrefix = (p) => {
-        const s = String(p || '').trim();
-        if (!s) return '/';
-        const withSlash = s.startsWith('/') ? s : `/${s}`;
-        return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : '/';
-      };
-      const toInt = (n) => Number(n || 0) || 0;
-
-      // validate base
-      const normBase = ensureHttpUrl(meta.base);
-      if (!normBase) errors.push({ key: 'base', reason: 'Base URL is required (e.g., https://stage.example.com).' });
-
-      // outDir must exist
-      try {
-        const st = fs.statSync(outDir);
-        if (!st.isDirectory()) errors.push({ key: 'outDir', reason: 'Not a folder.' });
-      } catch {
-        errors.push({ key: 'outDir', reason: 'Folder does not exist.' });
-      }
-
-      // CSV gating for URL-based outputs
-      const shape = sniffCsvShape(meta.inputPath || LAUNCH.inputPath);
-      errors.push(...validateOutputs(outputs, shape));
-
-      const valid = errors.length === 0;
-      APPLIED = valid;
-      if (!valid) return sendJson(res, 200, { valid:false, errors });
-
-      // persist config.json
-      LAUNCH.outDir = outDir; // keep UI + server in sync
-      STARTED = false;
-      const dir = path.join(outDir, 'telemetry');
-      fs.mkdirSync(dir, { recursive: true });
-
-      const cfg = {
-        valid: true,
-        started: false,             // never auto-start on apply
-        outputs,
-        meta: {
-          base: normBase,
-          prefix: normPrefix(meta.prefix),
-          outDir,
-          keepPageParam: !!meta.keepPageParam,
-          headless: !!meta.headless,
-          prod: !!meta.prod,
-          maxShards: !!meta.maxShards,
-          multi: !!meta.multiShards,
-          shards: toInt(meta.shards),
-          bucketParts: toInt(meta.bucketParts),
-          inputPath: String(meta.inputPath || LAUNCH.inputPath || '')
-        }
-      };
-
-      fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(cfg, null, 2), 'utf8');
-      sendJson(res, 200, { valid:true, errors:[], meta: cfg.meta });
+      const result = applyConfig(JSON.parse(body || '{}'));
+      if (!result.valid) return sendJson(res, 200, { valid:false, errors: result.errors });
+      sendJson(res, 200, { valid:true, errors:[], meta: result.meta });
     } catch (e) {
       sendJson(res, 500, { valid:false, errors:[{ key:'exception', reason:String(e && e.message || e) }] });
     }
@@ -558,23 +552,7 @@ if (req.method === 'POST' && req.url === '/config') {
 
   // POST /start (separate Start button in Control Panel)
   if (req.method === 'POST' && req.url === '/start') {
-    const file = readConfigFile() || { valid:false, outputs:[], meta:{}, started:false };
-    // Only allow start if config is valid and has at least one output
-    if (file && file.valid && Array.isArray(file.outputs) && file.outputs.length) {
-      // clear any lingering stop.flag
-      try {
-        const stopFile = path.join((LAUNCH.outDir || 'dist'), 'telemetry', 'stop.flag');
-        if (fs.existsSync(stopFile)) fs.unlinkSync(stopFile);
-      } catch {}
-      file.started = true;
-      fs.mkdirSync(path.dirname(CONFIG_FILE()), { recursive: true });
-      fs.writeFileSync(CONFIG_FILE(), JSON.stringify(file));
-
-      STOP_REQUESTED = false; // clear any prior stop request
-      markStart();
-      STATE.startedAt = Date.now();
-      return sendJson(res, 200, { ok:true });
-    }
+    if (startRun()) return sendJson(res, 200, { ok:true });
     return sendJson(res, 400, { ok:false, reason:'No valid config applied yet' });
   }
 
@@ -730,7 +708,7 @@ const PAGE_HTML = `<!doctype html>
     .cp-row { display:flex; align-items:center; gap:10px; }
     .cp-col { display:flex; flex-direction:column; gap:6px; }
     .cp-k { color: var(--muted); font-size: 12px; }
-    .cp-v, input[type="text"], input[type="number"], select { background:#0f1319; border:1px solid #253042; color:var(--fg); border-radius:8px; padding:8px 10px; }
+    .cp-v, input[type="text"], input[type="number"], select, textarea { background:#0f1319; border:1px solid #253042; color:var(--fg); border-radius:8px; padding:8px 10px; }
     .cp-help { color: var(--muted); font-size: 12px; }
     .cp-badge { display:inline-block; padding:2px 8px; border-radius:999px; background:#1b2230; border:1px solid #223; color:#b8c1cc; font-size:12px; }
     .muted { color: var(--muted); }
@@ -766,6 +744,24 @@ const PAGE_HTML = `<!doctype html>
         <div class="cp-help">Scope the crawl to this path. Keep as <span class="mono">/</span> to crawl all.</div>
       </div>
 
+      <div class="cp-col">
+        <label class="cp-k" for="cp-include">Include only (optional)</label>
+        <textarea id="cp-include" class="mono" rows="3" placeholder="/products"></textarea>
+        <div class="cp-help">One glob or <span class="mono">re:</span>regex per line. Empty = everything under the prefix.</div>
+      </div>
+
+      <div class="cp-col">
+        <label class="cp-k" for="cp-exclude">Exclude (optional)</label>
+        <textarea id="cp-exclude" class="mono" rows="3" placeholder="/search&#10;/cart&#10;/*/compare/*"></textarea>
+        <div class="cp-help"><span class="mono">*</span> = one path segment, <span class="mono">**</span> = any depth. Rules also match below the prefix.</div>
+      </div>
+
+      <div class="cp-col">
+        <label class="cp-k" for="cp-maxdepth">Max click depth (optional)</label>
+        <input id="cp-maxdepth" type="number" min="0" placeholder="0" />
+        <div class="cp-help">Links more than N clicks from the seeds are not followed. 0 = unlimited.</div>
+      </div>
+
       <div class="cp-col">
         <label class="cp-k">Keep the ?page= query in links</label>
         <div class="cp-row">
@@ -972,6 +968,9 @@ const PAGE_HTML = `<!doctype html>
       return {
         base: $('cp-base').value.trim(),
         prefix: $('cp-prefix').value.trim(),
+        include: $('cp-include').value.split(/\\r?\\n/).map(x => x.trim()).filter(Boolean),
+        exclude: $('cp-exclude').value.split(/\\r?\\n/).map(x => x.trim()).filter(Boolean),
+        maxDepth: Math.max(0, parseInt($('cp-maxdepth').value || '0', 10) || 0),
         keepPageParam: $('cp-keeppage').checked,
         headless: $('cp-headless').checked,
         // persist original toggles so the server knows user's intent
@@ -1035,6 +1034,9 @@ const PAGE_HTML = `<!doctype html>
       if (s.fileName) parts.push('--input', s.fileName);
       if (s.base) parts.push('--base', s.base);
       if (s.prefix) parts.push('--pathPrefix', s.prefix);
+      s.include.forEach(r => parts.push('--include', r));
+      s.exclude.forEach(r => parts.push('--exclude', r));
+      if (s.maxDepth) parts.push('--maxDepth', String(s.maxDepth));
       if (s.keepPageParam) parts.push('--keepPageParam', 'true');
 
       const shardCap = s.multi ? s.shards : 1;
@@ -1049,7 +1051,7 @@ const PAGE_HTML = `<!doctype html>
       save();
     }
 
-    ['cp-base','cp-prefix','cp-keeppage','cp-headless','cp-multi','cp-shards','cp-outdir','cp-override']
+    ['cp-base','cp-prefix','cp-include','cp-exclude','cp-maxdepth','cp-keeppage','cp-headless','cp-multi','cp-shards','cp-outdir','cp-override']
       .forEach(id => $(id).addEventListener('input', recompute));
     shardsSel.addEventListener('change', recompute);
 
@@ -1356,6 +1358,9 @@ const PAGE_HTML = `<!doctype html>
       return {
        base: (baseInp?.value || '').trim(),
         prefix: (prefixInp?.value || '').trim(),
+        include: ($('cp-include')?.value || '').trim(),
+        exclude: ($('cp-exclude')?.value || '').trim(),
+        maxDepth: Number($('cp-maxdepth')?.value || 0) || 0,
         outDir: (outDirInp?.value || '').trim(),
         keepPageParam: !!keepPage,
         headless: !!headless,
@@ -1376,6 +1381,9 @@ const PAGE_HTML = `<!doctype html>
       const meta = {
         base: (s.base || '').trim(),
         prefix: (s.prefix || '').trim(),
+        include: s.include || [],
+        exclude: s.exclude || [],
+        maxDepth: Number(s.maxDepth || 0) || 0,
         outDir: (s.outDir || '').trim() || './dist',
         keepPageParam: !!s.keepPageParam,
         headless: !!s.headless,
@@ -1439,6 +1447,111 @@ const PAGE_HTML = `<!doctype html>
 
 
 // ---------- helpers ----------
+/**
+ * Validate + persist a Control Panel selection ({ outputs, meta }) to telemetry/config.json.
+ * Shared by POST /config and the orchestrator's unattended (--yes) mode.
+ * Returns { valid:false, errors } or { valid:true, errors:[], meta }.
+ */
+function applyConfig(j) {
+  const outputs = Array.isArray(j && j.outputs) ? j.outputs : [];
+  const meta = (j && j.meta) || {};
+  const outDir = String(meta.outDir || LAUNCH.outDir || 'dist').trim();
+
+  const errors = [];
+
+  const ensureHttpUrl = (u) => {
+    const s = String(u || '').trim();
+    if (!s) return '';
+    return /^[a-z]+:\/\//i.test(s) ? s : `https://${s}`;
+  };
+  const normPrefix = (p) => {
+    const s = String(p || '').trim();
+    if (!s) return '/';
+    const withSlash = s.startsWith('/') ? s : `/${s}`;
+    return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : '/';
+  };
+  const toInt = (n) => Number(n || 0) || 0;
+
+  // validate base
+  const normBase = ensureHttpUrl(meta.base);
+  if (!normBase) errors.push({ key: 'base', reason: 'Base URL is required (e.g., https://stage.example.com).' });
+
+  // outDir must exist
+  try {
+    const st = fs.statSync(outDir);
+    if (!st.isDirectory()) errors.push({ key: 'outDir', reason: 'Not a folder.' });
+  } catch {
+    errors.push({ key: 'outDir', reason: 'Folder does not exist.' });
+  }
+
+  // include/exclude rules (globs or re:regexes, see src/discover/scope.js)
+  const include = splitRules(meta.include), exclude = splitRules(meta.exclude);
+  for (const e of ruleErrors(include)) errors.push({ key: 'include', reason: `${e.rule}: ${e.reason}` });
+  for (const e of ruleErrors(exclude)) errors.push({ key: 'exclude', reason: `${e.rule}: ${e.reason}` });
+
+  // CSV gating for URL-based outputs
+  const shape = sniffCsvShape(meta.inputPath || LAUNCH.inputPath);
+  errors.push(...validateOutputs(outputs, shape));
+
+  const valid = errors.length === 0;
+  APPLIED = valid;
+  if (!valid) return { valid:false, errors };
+
+  // persist config.json
+  LAUNCH.outDir = outDir; // keep UI + server in sync
+  STARTED = false;
+  const dir = path.join(outDir, 'telemetry');
+  fs.mkdirSync(dir, { recursive: true });
+
+  const cfg = {
+    valid: true,
+    started: false,             // never auto-start on apply
+    outputs,
+    meta: {
+      base: normBase,
+      prefix: normPrefix(meta.prefix),
+      include,
+      exclude,
+      maxDepth: toInt(meta.maxDepth),
+      outDir,
+      keepPageParam: !!meta.keepPageParam,
+      headless: !!meta.headless,
+      prod: !!meta.prod,
+      maxShards: !!meta.maxShards,
+      multi: !!meta.multiShards,
+      shards: toInt(meta.shards),
+      bucketParts: toInt(meta.bucketParts),
+      inputPath: String(meta.inputPath || LAUNCH.inputPath || '')
+    }
+  };
+
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(cfg, null, 2), 'utf8');
+  return { valid:true, errors:[], meta: cfg.meta };
+}
+
+/**
+ * Flip the applied config to started (what the Start button does).
+ * Returns false when nothing valid has been applied yet.
+ */
+function startRun() {
+  const file = readConfigFile() || { valid:false, outputs:[], meta:{}, started:false };
+  // Only allow start if config is valid and has at least one output
+  if (!(file && file.valid && Array.isArray(file.outputs) && file.outputs.length)) return false;
+  // clear any lingering stop.flag
+  try {
+    const stopFile = path.join((LAUNCH.outDir || 'dist'), 'telemetry', 'stop.flag');
+    if (fs.existsSync(stopFile)) fs.unlinkSync(stopFile);
+  } catch {}
+  file.started = true;
+  fs.mkdirSync(path.dirname(CONFIG_FILE()), { recursive: true });
+  fs.writeFileSync(CONFIG_FILE(), JSON.stringify(file));
+
+  STOP_REQUESTED = false; // clear any prior stop request
+  markStart();
+  STATE.startedAt = Date.now();
+  return true;
+}
+
 function readConfigFile() {
    try { return JSON.parse(fs.readFileSync(CONFIG_FILE(), 'utf8')); } catch { return null; }
  }
@@ -1474,6 +1587,7 @@ function logEvent(type, payload) {
 // ---------- export ----------
 const API = {
   startServer: init,
+  isLoopbackHost,
   stop,
   event,
   bump,
@@ -1487,12 +1601,16 @@ const API = {
   ),
   bucketOwner,
   bucketProgress,
+  bucketUpdate,
   treeAdd,
   snapshot,
+  mount,
 };
 
 
 API.waitForApplyAndStart = waitForApplyAndStart;
+API.applyConfig = applyConfig;
+API.startRun = startRun;
 API.markApplied = markApplied;
 API.markStart = markStart;
 API.requestStop = requestStop;
@@ -1582,7 +1700,9 @@ module.exports = {
   markStart,
   requestStop,
   stopRequested,
-  waitForApplyAndStart
+  waitForApplyAndStart,
+  applyConfig,
+  startRun
 };
 
 module.exports.setLaunchContext = setLaunchContext;